@@ -1,6 +1,11 @@
 // Export all input components
 export { InputRoot } from './input-root.js';
 export { InputText } from './input-text.js';
+export { InputDate } from './input-date.js';
+export { InputCheckbox } from './input-checkbox.js';
+export { InputSwitch } from './input-switch.js';
+export { InputRadio } from './input-radio.js';
+export { InputRadioGroup } from './input-radio-group.js';
 export { InputSlider } from './input-slider.js';
 export { InputSliderTrack } from './input-slider-track.js';
 export { InputSliderThumb } from './input-slider-thumb.js'; 
\ No newline at end of file
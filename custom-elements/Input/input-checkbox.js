@@ -0,0 +1,177 @@
+/**
+ * @typedef {import('./types.js').InputCheckboxObservedAttributes} InputCheckboxObservedAttributes
+ */
+
+/**
+ * InputCheckbox - Component providing a checkbox interface
+ * Its content is the label, and the indeterminate attribute shows a mixed state until it is toggled
+ * Communicates with InputRoot through internal events, reporting checked instead of a value
+ */
+export class InputCheckbox extends HTMLElement {
+  /**
+   * The ARIA role of the component, which subclasses like InputSwitch change
+   * @type {"checkbox" | "switch"}
+   */
+  static role = "checkbox";
+
+  #handleClickFunc = null;
+  #handleKeyDownFunc = null;
+  #handleFocusFunc = null;
+  #handleBlurFunc = null;
+
+  /**
+   * Attributes observed by this component
+   * Combines InputCheckbox specific attributes and inherited attributes from InputRoot
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    // InputCheckbox specific attributes
+    /** @type {InputCheckboxObservedAttributes} */
+    const checkboxAttributes = ["indeterminate"];
+    // Inherited attributes from InputRoot that affect this component
+    const inheritedAttributes = ["checked", "disabled", "readonly", "required"];
+
+    return [...checkboxAttributes, ...inheritedAttributes];
+  }
+
+  constructor() {
+    super();
+
+    this.#handleClickFunc = this.#handleClick.bind(this);
+    this.#handleKeyDownFunc = this.#handleKeyDown.bind(this);
+    this.#handleFocusFunc = this.#handleFocus.bind(this);
+    this.#handleBlurFunc = this.#handleBlur.bind(this);
+  }
+
+  connectedCallback() {
+    this.setAttribute("role", /** @type {typeof InputCheckbox} */ (this.constructor).role);
+
+    this.addEventListener("click", this.#handleClickFunc);
+    this.addEventListener("keydown", this.#handleKeyDownFunc);
+    this.addEventListener("focus", this.#handleFocusFunc);
+    this.addEventListener("blur", this.#handleBlurFunc);
+
+    this.#updateAccessibility();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener("click", this.#handleClickFunc);
+    this.removeEventListener("keydown", this.#handleKeyDownFunc);
+    this.removeEventListener("focus", this.#handleFocusFunc);
+    this.removeEventListener("blur", this.#handleBlurFunc);
+  }
+
+  /**
+   * @param {string} name - The name of the attribute that changed
+   * @param {string} oldValue - The previous value of the attribute
+   * @param {string} newValue - The new value of the attribute
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    this.#updateAccessibility();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get checked() {
+    return this.hasAttribute("checked");
+  }
+
+  set checked(isChecked) {
+    this.toggleAttribute("checked", Boolean(isChecked));
+  }
+
+  /**
+   * Whether the checkbox shows a mixed state, like a "select all" checkbox of a partly checked list
+   * Only a checkbox has this state, a switch is either on or off
+   * Toggling the checkbox clears it, and it is not submitted with the form
+   * @returns {boolean}
+   */
+  get indeterminate() {
+    return this.#supportsMixed() && this.hasAttribute("indeterminate");
+  }
+
+  set indeterminate(isIndeterminate) {
+    this.toggleAttribute("indeterminate", Boolean(isIndeterminate));
+  }
+
+  /**
+   * Toggles the checked state like a click of the user, unless the checkbox is disabled or readonly
+   */
+  toggle() {
+    if (this.hasAttribute("disabled") || this.hasAttribute("readonly")) return;
+
+    this.removeAttribute("indeterminate");
+    this.checked = !this.checked;
+
+    this.dispatchEvent(
+      new CustomEvent("_input-internal-change", {
+        bubbles: true,
+        composed: true,
+        detail: { checked: this.checked },
+      })
+    );
+  }
+
+  #supportsMixed() {
+    return /** @type {typeof InputCheckbox} */ (this.constructor).role === "checkbox";
+  }
+
+  #updateAccessibility() {
+    const ariaChecked = this.indeterminate ? "mixed" : String(this.checked);
+    this.setAttribute("aria-checked", ariaChecked);
+
+    const isDisabled = this.hasAttribute("disabled");
+    this.tabIndex = isDisabled ? -1 : 0;
+    this.toggleAttribute("aria-disabled", isDisabled);
+    this.toggleAttribute("aria-readonly", this.hasAttribute("readonly"));
+    this.toggleAttribute("aria-required", this.hasAttribute("required"));
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  #handleClick(event) {
+    // Links in the label keep working
+    if (event.target !== this && /** @type {Element} */ (event.target).closest("a")) return;
+
+    this.toggle();
+  }
+
+  /**
+   * Space toggles, like on a native checkbox
+   * @param {KeyboardEvent} event
+   */
+  #handleKeyDown(event) {
+    if (event.key !== " ") return;
+
+    event.preventDefault();
+    this.toggle();
+  }
+
+  #handleFocus() {
+    if (!this.hasAttribute("disabled")) {
+      this.dispatchEvent(
+        new CustomEvent("_input-internal-focus", {
+          bubbles: true,
+          composed: true,
+          detail: { target: this },
+        })
+      );
+    }
+  }
+
+  #handleBlur() {
+    this.dispatchEvent(
+      new CustomEvent("_input-internal-blur", {
+        bubbles: true,
+        composed: true,
+        detail: { target: this },
+      })
+    );
+  }
+}
+
+customElements.define("input-checkbox", InputCheckbox);
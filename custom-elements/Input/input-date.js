@@ -0,0 +1,1100 @@
+/**
+ * @typedef {import('./types.js').InputDateObservedAttributes} InputDateObservedAttributes
+ * @typedef {import('./types.js').InterfaceValidity} InterfaceValidity
+ * @typedef {import('../../dom-utility/date.js').DateParts} DateParts
+ * @typedef {import('../../dom-utility/date.js').TimeParts} TimeParts
+ * @typedef {{ getWeekInfo?: () => { firstDay: number }, weekInfo?: { firstDay: number } }} WeekInfoLocale
+ */
+
+import { anchorPopup } from "../../dom-utility/popup.js";
+import {
+  addDays,
+  addMonths,
+  compareDates,
+  formatIsoDate,
+  formatIsoTime,
+  getDaysInMonth,
+  getToday,
+  getWeekday,
+  parseIsoDate,
+  parseIsoTime,
+  toUtcDate,
+} from "../../dom-utility/date.js";
+
+const DATE_TYPES = ["date", "time", "datetime-local"];
+
+/** @type {("year" | "month" | "day")[]} */
+const DATE_SEGMENT_TYPES = ["year", "month", "day"];
+
+/**
+ * The segments a value is edited in, with the number of digits that fill them
+ * Once they are typed, typing moves on to the next segment
+ */
+const SEGMENTS = {
+  year: { label: "Year", placeholder: "yyyy", digits: 4 },
+  month: { label: "Month", placeholder: "mm", digits: 2 },
+  day: { label: "Day", placeholder: "dd", digits: 2 },
+  hour: { label: "Hours", placeholder: "--", digits: 2 },
+  minute: { label: "Minutes", placeholder: "--", digits: 2 },
+  dayPeriod: { label: "AM/PM", placeholder: "--", digits: 1 },
+};
+
+// Every part of this date differs, so the order of the parts in a locale can be read from it
+const SAMPLE_DATE = new Date(Date.UTC(2001, 10, 22, 13, 44));
+
+// A leap year, so Feb 29 can be typed before the year
+const FALLBACK_YEAR = 2000;
+
+let idCounter = 0;
+
+/**
+ * InputDate - Component providing a date and time input interface
+ * Follows the type of InputRoot: "date", "time" or "datetime-local"
+ * The value is edited in spinbutton segments ordered like the locale writes dates,
+ * and dates can be picked from a calendar grid
+ * Communicates with InputRoot through internal events
+ */
+export class InputDate extends HTMLElement {
+  /** @type {{ type: keyof SEGMENTS, element: HTMLElement, value: number | null }[]} */
+  #segments = [];
+  #typedDigits = "";
+  #hour12 = false;
+  #dayPeriods = ["AM", "PM"];
+  #calendar = null;
+  #calendarButton = null;
+  /** @type {DateParts | null} */
+  #activeDate = null;
+  #releasePopup = null;
+  #isDateDisabled = null;
+  #isConnected = false;
+  #handleKeyDownFunc = null;
+  #handleClickFunc = null;
+  #handlePointerDownFunc = null;
+  #handleFocusFunc = null;
+  #handleBlurFunc = null;
+
+  /**
+   * Attributes observed by this component
+   * Combines InputDate specific attributes and inherited attributes from InputRoot
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    // InputDate specific attributes
+    /** @type {InputDateObservedAttributes} */
+    const dateAttributes = ["min", "max", "disabled-dates", "aria-invalid"];
+    // Inherited attributes from InputRoot that affect this component
+    const inheritedAttributes = ["type", "value", "disabled", "readonly", "required"];
+
+    return [...dateAttributes, ...inheritedAttributes];
+  }
+
+  constructor() {
+    super();
+
+    this.#handleKeyDownFunc = this.#handleKeyDown.bind(this);
+    this.#handleClickFunc = this.#handleClick.bind(this);
+    this.#handlePointerDownFunc = this.#handlePointerDown.bind(this);
+    this.#handleFocusFunc = this.#handleFocus.bind(this);
+    this.#handleBlurFunc = this.#handleBlur.bind(this);
+  }
+
+  connectedCallback() {
+    this.setAttribute("role", "group");
+
+    this.addEventListener("keydown", this.#handleKeyDownFunc);
+    this.addEventListener("click", this.#handleClickFunc);
+    this.addEventListener("pointerdown", this.#handlePointerDownFunc);
+    this.addEventListener("focusin", this.#handleFocusFunc);
+    this.addEventListener("focusout", this.#handleBlurFunc);
+
+    this.#isConnected = true;
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener("keydown", this.#handleKeyDownFunc);
+    this.removeEventListener("click", this.#handleClickFunc);
+    this.removeEventListener("pointerdown", this.#handlePointerDownFunc);
+    this.removeEventListener("focusin", this.#handleFocusFunc);
+    this.removeEventListener("focusout", this.#handleBlurFunc);
+
+    this.#closeCalendar();
+    this.#isConnected = false;
+  }
+
+  /**
+   * @param {string} name - The name of the attribute that changed
+   * @param {string} oldValue - The previous value of the attribute
+   * @param {string} newValue - The new value of the attribute
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.#isConnected) return;
+
+    switch (name) {
+      case "type":
+        // InputRoot passes the type on before the value, so the value is not reported back here
+        this.#render();
+        break;
+      case "value":
+        // InputRoot echoes the value back, which must not clear segments still being filled
+        if (newValue !== this.#getValue()) {
+          this.#setSegmentsFromValue(newValue);
+          this.#renderCalendar();
+        }
+        break;
+      case "min":
+      case "max":
+      case "disabled-dates":
+        this.#renderCalendar();
+        this.#notifyConstraintChange();
+        break;
+      case "disabled":
+      case "readonly":
+        this.#closeCalendar();
+        this.#updateAccessibility();
+        break;
+      case "required":
+      case "aria-invalid":
+        this.#updateAccessibility();
+        break;
+    }
+  }
+
+  /**
+   * The value as an ISO string, like "2024-02-29", "13:45" or "2024-02-29T13:45"
+   * Empty while any segment is empty
+   * @returns {string}
+   */
+  get value() {
+    return this.#getValue();
+  }
+
+  set value(newValue) {
+    this.setAttribute("value", String(newValue ?? ""));
+  }
+
+  /**
+   * Marks dates that cannot be picked, in addition to the disabled-dates attribute
+   * Receives each date as an ISO string like "2024-02-29"
+   * @returns {((date: string) => boolean) | null}
+   */
+  get isDateDisabled() {
+    return this.#isDateDisabled;
+  }
+
+  /**
+   * @param {((date: string) => boolean) | null} callback
+   */
+  set isDateDisabled(callback) {
+    this.#isDateDisabled = typeof callback === "function" ? callback : null;
+    this.#renderCalendar();
+    this.#notifyConstraintChange();
+  }
+
+  /**
+   * Whether the calendar is open
+   * @returns {boolean}
+   */
+  get open() {
+    return Boolean(this.#releasePopup);
+  }
+
+  /**
+   * Opens the calendar, for dates only
+   */
+  showPicker() {
+    this.#openCalendar();
+  }
+
+  /**
+   * Reports the constraints of the value for the validity of InputRoot
+   * Partly filled segments are bad input, like in native date inputs
+   * @returns {InterfaceValidity}
+   */
+  getValidityState() {
+    const filledCount = this.#segments.filter((segment) => segment.value !== null).length;
+    if (filledCount > 0 && filledCount < this.#segments.length) {
+      const message =
+        this.#getType() === "time" ? "Please enter a valid time." : "Please enter a valid date.";
+      return { flags: { badInput: true }, message };
+    }
+
+    const value = this.#getValue();
+    if (!value) {
+      return { flags: {}, message: "" };
+    }
+
+    const min = this.#getBound("min");
+    if (min && value < min) {
+      return {
+        flags: { rangeUnderflow: true },
+        message: `Value must be ${this.#formatValue(min)} or later.`,
+      };
+    }
+    const max = this.#getBound("max");
+    if (max && value > max) {
+      return {
+        flags: { rangeOverflow: true },
+        message: `Value must be ${this.#formatValue(max)} or earlier.`,
+      };
+    }
+
+    const { date } = this.#parseValue(value);
+    if (date && this.#isUnavailable(date)) {
+      return { flags: { customError: true }, message: "This date is not available." };
+    }
+
+    return { flags: {}, message: "" };
+  }
+
+  /**
+   * @returns {"date" | "time" | "datetime-local"}
+   */
+  #getType() {
+    const type = this.getAttribute("type");
+    return DATE_TYPES.includes(type) ? /** @type {"date" | "time" | "datetime-local"} */ (type) : "date";
+  }
+
+  #hasDate() {
+    return this.#getType() !== "time";
+  }
+
+  #getLocale() {
+    return this.closest("[lang]")?.getAttribute("lang") || undefined;
+  }
+
+  /**
+   * The Intl.DateTimeFormat options showing the parts of the type
+   * @param {boolean} [isNumeric=true] - Whether to use numeric parts, as the segments do
+   * @returns {Intl.DateTimeFormatOptions}
+   */
+  #getFormatOptions(isNumeric = true) {
+    const type = this.#getType();
+    /** @type {Intl.DateTimeFormatOptions} */
+    const date = isNumeric
+      ? { year: "numeric", month: "2-digit", day: "2-digit" }
+      : { dateStyle: "medium" };
+    /** @type {Intl.DateTimeFormatOptions} */
+    const time = isNumeric ? { hour: "2-digit", minute: "2-digit" } : { timeStyle: "short" };
+
+    if (type === "time") return { ...time, timeZone: "UTC" };
+    if (type === "date") return { ...date, timeZone: "UTC" };
+    return { ...date, ...time, timeZone: "UTC" };
+  }
+
+  /**
+   * Builds the segments in the order the locale writes the parts, with its separators between them,
+   * and the calendar button for types with a date
+   */
+  #render() {
+    const value = this.getAttribute("value");
+    this.#closeCalendar();
+
+    const locale = this.#getLocale();
+    const formatter = new Intl.DateTimeFormat(locale, this.#getFormatOptions());
+    const { hourCycle } = formatter.resolvedOptions();
+    this.#hour12 = hourCycle === "h11" || hourCycle === "h12";
+
+    const periodFormatter = new Intl.DateTimeFormat(locale, {
+      hour: "numeric",
+      hourCycle: "h12",
+      timeZone: "UTC",
+    });
+    this.#dayPeriods = [0, 12].map((hour) => {
+      const parts = periodFormatter.formatToParts(Date.UTC(2001, 0, 1, hour));
+      return parts.find((part) => part.type === "dayPeriod")?.value ?? (hour ? "PM" : "AM");
+    });
+
+    const container = document.createElement("span");
+    container.dataset.segments = "";
+    this.#segments = [];
+
+    formatter.formatToParts(SAMPLE_DATE).forEach((part) => {
+      if (part.type === "literal") {
+        const literal = document.createElement("span");
+        literal.dataset.literal = "";
+        literal.setAttribute("aria-hidden", "true");
+        literal.textContent = part.value;
+        container.append(literal);
+        return;
+      }
+      if (!(part.type in SEGMENTS)) return;
+
+      const type = /** @type {keyof SEGMENTS} */ (part.type);
+      const element = document.createElement("span");
+      element.setAttribute("role", "spinbutton");
+      element.setAttribute("aria-label", SEGMENTS[type].label);
+      element.dataset.segment = type;
+      container.append(element);
+      this.#segments.push({ type, element, value: null });
+    });
+
+    this.querySelector(":scope > [data-segments]")?.replaceWith(container);
+    if (!container.isConnected) {
+      this.prepend(container);
+    }
+
+    if (this.#hasDate()) {
+      this.#createCalendarButton();
+    } else {
+      this.#calendarButton?.remove();
+      this.#calendarButton = null;
+    }
+
+    this.#setSegmentsFromValue(value);
+    this.#updateAccessibility();
+  }
+
+  #createCalendarButton() {
+    if (this.#calendarButton) return;
+
+    this.#calendarButton = document.createElement("button");
+    this.#calendarButton.type = "button";
+    this.#calendarButton.dataset.calendarButton = "";
+    this.#calendarButton.textContent = "▾";
+    this.#calendarButton.setAttribute("aria-label", "Choose date");
+    this.#calendarButton.setAttribute("aria-haspopup", "dialog");
+    this.#calendarButton.setAttribute("aria-expanded", "false");
+    this.querySelector(":scope > [data-segments]").after(this.#calendarButton);
+  }
+
+  /**
+   * Keeps the ARIA state of the segments and buttons in line with the attributes from InputRoot
+   */
+  #updateAccessibility() {
+    const isDisabled = this.hasAttribute("disabled");
+    const isReadonly = this.hasAttribute("readonly");
+
+    this.#segments.forEach((segment) => {
+      const { element } = segment;
+      element.tabIndex = isDisabled ? -1 : 0;
+      element.toggleAttribute("aria-disabled", isDisabled);
+      element.toggleAttribute("aria-readonly", isReadonly);
+      element.toggleAttribute("aria-required", this.hasAttribute("required"));
+      if (this.getAttribute("aria-invalid") === "true") {
+        element.setAttribute("aria-invalid", "true");
+      } else {
+        element.removeAttribute("aria-invalid");
+      }
+      this.#renderSegment(segment);
+    });
+
+    if (this.#calendarButton) {
+      this.#calendarButton.disabled = isDisabled || isReadonly;
+    }
+  }
+
+  /**
+   * @param {{ type: keyof SEGMENTS }} segment
+   * @returns {{ min: number, max: number }}
+   */
+  #getSegmentRange({ type }) {
+    switch (type) {
+      case "year":
+        return { min: 1, max: 9999 };
+      case "month":
+        return { min: 1, max: 12 };
+      case "day": {
+        const year = this.#getSegment("year")?.value ?? FALLBACK_YEAR;
+        const month = this.#getSegment("month")?.value;
+        return { min: 1, max: month ? getDaysInMonth(year, month) : 31 };
+      }
+      case "hour":
+        return this.#hour12 ? { min: 1, max: 12 } : { min: 0, max: 23 };
+      case "minute":
+        return { min: 0, max: 59 };
+      case "dayPeriod":
+        return { min: 0, max: 1 };
+    }
+  }
+
+  /**
+   * @param {keyof SEGMENTS} type
+   */
+  #getSegment(type) {
+    return this.#segments.find((segment) => segment.type === type);
+  }
+
+  /**
+   * Shows the value of a segment, or its placeholder while empty
+   * @param {{ type: keyof SEGMENTS, element: HTMLElement, value: number | null }} segment
+   */
+  #renderSegment(segment) {
+    const { type, element, value } = segment;
+    const { min, max } = this.#getSegmentRange(segment);
+    element.setAttribute("aria-valuemin", String(min));
+    element.setAttribute("aria-valuemax", String(max));
+    element.toggleAttribute("data-placeholder", value === null);
+
+    if (value === null) {
+      element.textContent = SEGMENTS[type].placeholder;
+      element.removeAttribute("aria-valuenow");
+      element.setAttribute("aria-valuetext", "Empty");
+      return;
+    }
+
+    if (type === "dayPeriod") {
+      element.textContent = this.#dayPeriods[value];
+    } else {
+      element.textContent = String(value).padStart(type === "year" ? 4 : 2, "0");
+    }
+    element.setAttribute("aria-valuenow", String(value));
+
+    if (type === "month") {
+      const monthName = new Intl.DateTimeFormat(this.#getLocale(), {
+        month: "long",
+        timeZone: "UTC",
+      }).format(toUtcDate({ year: FALLBACK_YEAR, month: value, day: 1 }));
+      element.setAttribute("aria-valuetext", `${value} – ${monthName}`);
+    } else {
+      element.setAttribute("aria-valuetext", element.textContent);
+    }
+  }
+
+  /**
+   * Changes the value of a segment, keeping the day within the month
+   * @param {{ type: keyof SEGMENTS, element: HTMLElement, value: number | null }} segment
+   * @param {number | null} value
+   */
+  #setSegmentValue(segment, value) {
+    segment.value = value;
+    this.#renderSegment(segment);
+
+    // Jan 31 turning into February becomes Feb 29 or 28
+    const day = this.#getSegment("day");
+    if (day && segment !== day && (segment.type === "month" || segment.type === "year")) {
+      const { max } = this.#getSegmentRange(day);
+      if (day.value !== null && day.value > max) {
+        day.value = max;
+      }
+      this.#renderSegment(day);
+    }
+
+    this.#notifyConstraintChange();
+  }
+
+  /**
+   * Parses a value of the type into its date and time
+   * Both are null when the value does not fit the type
+   * @param {string | null} value
+   * @returns {{ date: DateParts | null, time: TimeParts | null }}
+   */
+  #parseValue(value) {
+    const empty = { date: null, time: null };
+    if (!value) return empty;
+
+    switch (this.#getType()) {
+      case "date": {
+        const date = parseIsoDate(value);
+        return date ? { date, time: null } : empty;
+      }
+      case "time": {
+        const time = parseIsoTime(value);
+        return time ? { date: null, time } : empty;
+      }
+      default: {
+        // A space is allowed in place of the T, like in native datetime-local inputs
+        const [datePart, timePart] = value.split(/[T ]/);
+        const date = parseIsoDate(datePart);
+        const time = parseIsoTime(timePart);
+        return date && time ? { date, time } : empty;
+      }
+    }
+  }
+
+  /**
+   * @param {{ date: DateParts | null, time: TimeParts | null }} parsed
+   * @returns {string}
+   */
+  #stringifyValue({ date, time }) {
+    return [date && formatIsoDate(date), time && formatIsoTime(time)].filter(Boolean).join("T");
+  }
+
+  /**
+   * Fills the segments from a value, leaving them empty when the value does not fit the type
+   * @param {string | null} value
+   */
+  #setSegmentsFromValue(value) {
+    const { date, time } = this.#parseValue(value);
+    /** @type {Record<string, number>} */
+    const fields = { ...date };
+
+    if (time) {
+      fields.minute = time.minute;
+      if (this.#hour12) {
+        fields.hour = time.hour % 12 || 12;
+        fields.dayPeriod = time.hour >= 12 ? 1 : 0;
+      } else {
+        fields.hour = time.hour;
+      }
+    }
+
+    this.#segments.forEach((segment) => {
+      segment.value = fields[segment.type] ?? null;
+      this.#renderSegment(segment);
+    });
+    this.#typedDigits = "";
+  }
+
+  /**
+   * The value from the segments, empty while any segment is empty
+   * @returns {string}
+   */
+  #getValue() {
+    if (this.#segments.length === 0) return "";
+
+    /** @type {Record<string, number>} */
+    const fields = {};
+    for (const segment of this.#segments) {
+      if (segment.value === null) return "";
+      fields[segment.type] = segment.value;
+    }
+
+    const { year, month, day } = fields;
+    const date = this.#hasDate() ? { year, month, day } : null;
+    let time = null;
+    if (this.#getType() !== "date") {
+      const hour = this.#hour12 ? (fields.hour % 12) + (fields.dayPeriod ? 12 : 0) : fields.hour;
+      time = { hour, minute: fields.minute };
+    }
+
+    return this.#stringifyValue({ date, time });
+  }
+
+  /**
+   * The min or max attribute, normalized so it compares with the value as a string
+   * @param {"min" | "max"} name
+   * @returns {string | null}
+   */
+  #getBound(name) {
+    const parsed = this.#parseValue(this.getAttribute(name));
+    return parsed.date || parsed.time ? this.#stringifyValue(parsed) : null;
+  }
+
+  /**
+   * Formats a value for messages, in the style of the locale
+   * @param {string} value
+   * @returns {string}
+   */
+  #formatValue(value) {
+    const { date, time } = this.#parseValue(value);
+    const utcDate = toUtcDate(date ?? { year: 1970, month: 1, day: 1 });
+    utcDate.setUTCHours(time?.hour ?? 0, time?.minute ?? 0);
+    const formatter = new Intl.DateTimeFormat(this.#getLocale(), this.#getFormatOptions(false));
+    return formatter.format(utcDate);
+  }
+
+  /**
+   * Whether a date is listed in disabled-dates or rejected by isDateDisabled
+   * @param {DateParts} date
+   * @returns {boolean}
+   */
+  #isUnavailable(date) {
+    const isoDate = formatIsoDate(date);
+    const listed = (this.getAttribute("disabled-dates") || "").split(/[\s,]+/);
+    return listed.includes(isoDate) || Boolean(this.#isDateDisabled?.(isoDate));
+  }
+
+  /**
+   * Whether a date can be picked in the calendar: within the days of min and max, and available
+   * @param {DateParts} date
+   * @returns {boolean}
+   */
+  #isSelectable(date) {
+    const min = this.#parseValue(this.getAttribute("min")).date;
+    const max = this.#parseValue(this.getAttribute("max")).date;
+    if (min && compareDates(date, min) < 0) return false;
+    if (max && compareDates(date, max) > 0) return false;
+    return !this.#isUnavailable(date);
+  }
+
+  /**
+   * The date of the segments, or null while a date segment is empty
+   * @returns {DateParts | null}
+   */
+  #getSelectedDate() {
+    const [year, month, day] = DATE_SEGMENT_TYPES.map(
+      (type) => this.#getSegment(type)?.value
+    );
+    if (year == null || month == null || day == null) return null;
+    return { year, month, day };
+  }
+
+  #isRtl() {
+    return getComputedStyle(this).direction === "rtl";
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  #handleKeyDown(event) {
+    const segment = this.#segments.find(({ element }) => element === event.target);
+
+    if (segment) {
+      this.#handleSegmentKeyDown(event, segment);
+    } else if (this.#calendar?.querySelector("tbody")?.contains(event.target)) {
+      this.#handleGridKeyDown(event);
+    }
+
+    if (event.key === "Escape" && this.open) {
+      event.preventDefault();
+      this.#closeCalendar();
+      this.#calendarButton?.focus();
+    }
+  }
+
+  /**
+   * Edits a segment: arrows step it, digits type it, Backspace clears it
+   * @param {KeyboardEvent} event
+   * @param {{ type: keyof SEGMENTS, element: HTMLElement, value: number | null }} segment
+   */
+  #handleSegmentKeyDown(event, segment) {
+    if (this.hasAttribute("disabled")) return;
+
+    const index = this.#segments.indexOf(segment);
+    const isRtl = this.#isRtl();
+
+    switch (event.key) {
+      case "ArrowLeft":
+      case "ArrowRight": {
+        event.preventDefault();
+        const direction = (event.key === "ArrowRight") !== isRtl ? 1 : -1;
+        this.#segments[index + direction]?.element.focus();
+        return;
+      }
+      case "Enter":
+        event.preventDefault();
+        this.dispatchEvent(
+          new CustomEvent("_input-internal-submit", {
+            bubbles: true,
+            composed: true,
+            detail: { target: this },
+          })
+        );
+        return;
+    }
+
+    if (event.altKey && event.key === "ArrowDown") {
+      event.preventDefault();
+      this.#openCalendar();
+      return;
+    }
+
+    if (this.hasAttribute("readonly") || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const { min, max } = this.#getSegmentRange(segment);
+
+    switch (event.key) {
+      case "ArrowUp":
+      case "ArrowDown": {
+        event.preventDefault();
+        const delta = event.key === "ArrowUp" ? 1 : -1;
+        let value;
+        if (segment.value === null) {
+          // An empty year starts at the current one, other segments at the end of their range
+          value = segment.type === "year" ? getToday().year : delta > 0 ? min : max;
+        } else {
+          value = segment.value + delta;
+          if (value > max) value = min;
+          if (value < min) value = max;
+        }
+        this.#typedDigits = "";
+        this.#setSegmentValue(segment, value);
+        return;
+      }
+      case "Home":
+      case "End":
+        event.preventDefault();
+        this.#typedDigits = "";
+        this.#setSegmentValue(segment, event.key === "Home" ? min : max);
+        return;
+      case "Backspace":
+      case "Delete":
+        event.preventDefault();
+        this.#typedDigits = "";
+        this.#setSegmentValue(segment, null);
+        return;
+    }
+
+    if (segment.type === "dayPeriod") {
+      const period = this.#dayPeriods.findIndex(
+        (label) => label[0]?.toLowerCase() === event.key.toLowerCase()
+      );
+      if (period !== -1) {
+        event.preventDefault();
+        this.#setSegmentValue(segment, period);
+        this.#segments[index + 1]?.element.focus();
+      }
+      return;
+    }
+
+    if (/^\d$/.test(event.key)) {
+      event.preventDefault();
+      this.#typeDigit(segment, event.key);
+    }
+  }
+
+  /**
+   * Types a digit into a segment, moving on to the next one once no further digit could fit
+   * @param {{ type: keyof SEGMENTS, element: HTMLElement, value: number | null }} segment
+   * @param {string} digit
+   */
+  #typeDigit(segment, digit) {
+    const { min, max } = this.#getSegmentRange(segment);
+
+    // A digit that makes the number too large starts a new one, like 1 then 3 in a month
+    let typed = this.#typedDigits + digit;
+    if (Number(typed) > max) {
+      typed = digit;
+    }
+    this.#typedDigits = typed;
+
+    // A leading zero below the range waits for the next digit, like 0 before 7 for July
+    const number = Number(typed);
+    this.#setSegmentValue(segment, number >= min ? number : null);
+
+    if (typed.length >= SEGMENTS[segment.type].digits || number * 10 > max) {
+      this.#typedDigits = "";
+      const next = this.#segments[this.#segments.indexOf(segment) + 1];
+      next?.element.focus();
+    }
+  }
+
+  /**
+   * Moves through the calendar grid: arrows by day and week, Home and End to the ends of the week,
+   * PageUp and PageDown by month, or by year with Shift
+   * @param {KeyboardEvent} event
+   */
+  #handleGridKeyDown(event) {
+    const active = this.#activeDate;
+    if (!active) return;
+
+    const firstDay = this.#getFirstDayOfWeek();
+    const weekdayIndex = (getWeekday(active) - firstDay + 7) % 7;
+    const isRtl = this.#isRtl();
+    let date = null;
+
+    switch (event.key) {
+      case "ArrowLeft":
+        date = addDays(active, isRtl ? 1 : -1);
+        break;
+      case "ArrowRight":
+        date = addDays(active, isRtl ? -1 : 1);
+        break;
+      case "ArrowUp":
+        date = addDays(active, -7);
+        break;
+      case "ArrowDown":
+        date = addDays(active, 7);
+        break;
+      case "Home":
+        date = addDays(active, -weekdayIndex);
+        break;
+      case "End":
+        date = addDays(active, 6 - weekdayIndex);
+        break;
+      case "PageUp":
+        date = addMonths(active, event.shiftKey ? -12 : -1);
+        break;
+      case "PageDown":
+        date = addMonths(active, event.shiftKey ? 12 : 1);
+        break;
+      case "Enter":
+      case " ":
+        event.preventDefault();
+        this.#selectDate(active);
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    if (date.year < 1 || date.year > 9999) return;
+
+    this.#activeDate = date;
+    this.#renderCalendar();
+    this.#focusActiveDate();
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  #handleClick(event) {
+    const target = /** @type {HTMLElement} */ (event.target);
+
+    if (target === this.#calendarButton) {
+      if (this.open) {
+        this.#closeCalendar();
+      } else {
+        this.#openCalendar();
+      }
+      return;
+    }
+
+    const monthButton = target.closest("[data-calendar-previous], [data-calendar-next]");
+    if (monthButton && this.#activeDate) {
+      const delta = monthButton.matches("[data-calendar-previous]") ? -1 : 1;
+      this.#activeDate = addMonths(this.#activeDate, delta);
+      this.#renderCalendar();
+      return;
+    }
+
+    const cell = /** @type {HTMLElement | null} */ (target.closest("td[data-date]"));
+    if (cell && this.#calendar?.contains(cell)) {
+      this.#selectDate(parseIsoDate(cell.dataset.date));
+    }
+  }
+
+  /**
+   * Clicks beside the segments focus the first empty one instead of leaving the input
+   * @param {PointerEvent} event
+   */
+  #handlePointerDown(event) {
+    const target = /** @type {HTMLElement} */ (event.target);
+    if (target !== this && !target.matches("[data-segments], [data-literal]")) return;
+    if (this.hasAttribute("disabled")) return;
+
+    event.preventDefault();
+    const segment = this.#segments.find(({ value }) => value === null) ?? this.#segments[0];
+    segment?.element.focus();
+  }
+
+  /**
+   * Handle focus entering the input, also when it moves between segments
+   * @param {FocusEvent} event
+   */
+  #handleFocus(event) {
+    this.#typedDigits = "";
+
+    // Focus moving between the segments and the calendar stays inside the input
+    if (this.contains(/** @type {Node} */ (event.relatedTarget))) return;
+
+    if (!this.hasAttribute("disabled")) {
+      this.dispatchEvent(
+        new CustomEvent("_input-internal-focus", {
+          bubbles: true,
+          composed: true,
+          detail: { target: this },
+        })
+      );
+    }
+  }
+
+  /**
+   * Handle focus leaving the input, which closes the calendar
+   * @param {FocusEvent} event
+   */
+  #handleBlur(event) {
+    if (this.contains(/** @type {Node} */ (event.relatedTarget))) return;
+
+    this.#closeCalendar();
+    this.dispatchEvent(
+      new CustomEvent("_input-internal-blur", {
+        bubbles: true,
+        composed: true,
+        detail: { target: this },
+      })
+    );
+  }
+
+  /**
+   * Reports the current value to InputRoot
+   * Also sent for changes that only affect validity, like a partly filled date
+   */
+  #notifyConstraintChange() {
+    if (!this.isConnected) return;
+
+    this.dispatchEvent(
+      new CustomEvent("_input-internal-change", {
+        bubbles: true,
+        composed: true,
+        detail: { value: this.#getValue() },
+      })
+    );
+  }
+
+  /**
+   * The first day of the week in the locale, from 0 for Sunday to 6 for Saturday
+   * @returns {number}
+   */
+  #getFirstDayOfWeek() {
+    const { locale } = new Intl.DateTimeFormat(this.#getLocale()).resolvedOptions();
+    // Week info is not in the type definitions of Intl.Locale yet
+    const intlLocale = /** @type {Intl.Locale & WeekInfoLocale} */ (new Intl.Locale(locale));
+    // Counts from 1 for Monday to 7 for Sunday, and is a getter in older browsers
+    const weekInfo = intlLocale.getWeekInfo?.() ?? intlLocale.weekInfo;
+    return weekInfo ? weekInfo.firstDay % 7 : 1;
+  }
+
+  #createCalendar() {
+    const id = ++idCounter;
+
+    this.#calendar = document.createElement("div");
+    this.#calendar.dataset.calendar = "";
+    this.#calendar.id = `input-date-calendar-${id}`;
+    this.#calendar.setAttribute("role", "dialog");
+    this.#calendar.setAttribute("aria-label", "Choose date");
+    // Clicks on the calendar background keep focus inside the input
+    this.#calendar.tabIndex = -1;
+    this.#calendar.hidden = true;
+
+    const header = document.createElement("div");
+    header.dataset.calendarHeader = "";
+
+    const previous = document.createElement("button");
+    previous.type = "button";
+    previous.dataset.calendarPrevious = "";
+    previous.textContent = "‹";
+    previous.setAttribute("aria-label", "Previous month");
+
+    const title = document.createElement("span");
+    title.dataset.calendarTitle = "";
+    title.id = `input-date-title-${id}`;
+    title.setAttribute("aria-live", "polite");
+
+    const next = document.createElement("button");
+    next.type = "button";
+    next.dataset.calendarNext = "";
+    next.textContent = "›";
+    next.setAttribute("aria-label", "Next month");
+
+    header.append(previous, title, next);
+
+    const grid = document.createElement("table");
+    grid.setAttribute("role", "grid");
+    grid.setAttribute("aria-labelledby", title.id);
+    grid.append(document.createElement("thead"), document.createElement("tbody"));
+
+    this.#calendar.append(header, grid);
+    this.append(this.#calendar);
+    this.#calendarButton?.setAttribute("aria-controls", this.#calendar.id);
+  }
+
+  #openCalendar() {
+    if (this.open || !this.#hasDate() || !this.isConnected) return;
+    if (this.hasAttribute("disabled") || this.hasAttribute("readonly")) return;
+
+    if (!this.#calendar) {
+      this.#createCalendar();
+    }
+
+    this.#activeDate = this.#getSelectedDate() ?? getToday();
+    this.#calendar.hidden = false;
+    this.#renderCalendar();
+    this.#releasePopup = anchorPopup(this.#calendar, this, { offset: 4, matchWidth: false });
+    this.#calendarButton?.setAttribute("aria-expanded", "true");
+    this.#focusActiveDate();
+  }
+
+  #closeCalendar() {
+    if (!this.#releasePopup) return;
+
+    this.#releasePopup();
+    this.#releasePopup = null;
+    this.#calendar.hidden = true;
+    this.#calendarButton?.setAttribute("aria-expanded", "false");
+  }
+
+  /**
+   * Renders the month of the active date, with weekday headers in the order of the locale
+   */
+  #renderCalendar() {
+    if (!this.open || !this.#activeDate) return;
+
+    const locale = this.#getLocale();
+    const { year, month } = this.#activeDate;
+    const firstOfMonth = { year, month, day: 1 };
+    const firstDay = this.#getFirstDayOfWeek();
+
+    this.#calendar.querySelector("[data-calendar-title]").textContent = new Intl.DateTimeFormat(
+      locale,
+      { month: "long", year: "numeric", timeZone: "UTC" }
+    ).format(toUtcDate(firstOfMonth));
+
+    // Months wholly outside min and max cannot be reached with the buttons
+    const min = this.#parseValue(this.getAttribute("min")).date;
+    const max = this.#parseValue(this.getAttribute("max")).date;
+    const lastOfPrevious = addDays(firstOfMonth, -1);
+    const firstOfNext = addMonths(firstOfMonth, 1);
+    this.#calendar.querySelector("[data-calendar-previous]").disabled =
+      Boolean(min && compareDates(lastOfPrevious, min) < 0) || (year === 1 && month === 1);
+    this.#calendar.querySelector("[data-calendar-next]").disabled =
+      Boolean(max && compareDates(firstOfNext, max) > 0) || (year === 9999 && month === 12);
+
+    const shortWeekday = new Intl.DateTimeFormat(locale, { weekday: "short", timeZone: "UTC" });
+    const longWeekday = new Intl.DateTimeFormat(locale, { weekday: "long", timeZone: "UTC" });
+    const headerRow = document.createElement("tr");
+    // Jan 7, 2001 was a Sunday
+    for (let i = 0; i < 7; i++) {
+      const weekday = toUtcDate({ year: 2001, month: 1, day: 7 + ((firstDay + i) % 7) });
+      const header = document.createElement("th");
+      header.scope = "col";
+      header.abbr = longWeekday.format(weekday);
+      header.textContent = shortWeekday.format(weekday);
+      headerRow.append(header);
+    }
+    this.#calendar.querySelector("thead").replaceChildren(headerRow);
+
+    const fullDate = new Intl.DateTimeFormat(locale, { dateStyle: "full", timeZone: "UTC" });
+    const selected = this.#getSelectedDate();
+    const today = getToday();
+    const leadingDays = (getWeekday(firstOfMonth) - firstDay + 7) % 7;
+    const daysInMonth = getDaysInMonth(year, month);
+    const cellCount = Math.ceil((leadingDays + daysInMonth) / 7) * 7;
+    const rows = [];
+
+    for (let cellIndex = 0; cellIndex < cellCount; cellIndex++) {
+      if (cellIndex % 7 === 0) {
+        rows.push(document.createElement("tr"));
+      }
+
+      const cell = document.createElement("td");
+      rows[rows.length - 1].append(cell);
+
+      const day = cellIndex - leadingDays + 1;
+      if (day < 1 || day > daysInMonth) continue;
+
+      const date = { year, month, day };
+      cell.dataset.date = formatIsoDate(date);
+      cell.textContent = String(day);
+      cell.setAttribute("aria-label", fullDate.format(toUtcDate(date)));
+      cell.tabIndex = day === this.#activeDate.day ? 0 : -1;
+      if (selected && compareDates(date, selected) === 0) {
+        cell.setAttribute("aria-selected", "true");
+      }
+      if (compareDates(date, today) === 0) {
+        cell.setAttribute("aria-current", "date");
+      }
+      if (!this.#isSelectable(date)) {
+        cell.setAttribute("aria-disabled", "true");
+      }
+    }
+
+    this.#calendar.querySelector("tbody").replaceChildren(...rows);
+  }
+
+  #focusActiveDate() {
+    this.#calendar?.querySelector("td[tabindex='0']")?.focus();
+  }
+
+  /**
+   * Takes a date from the calendar into the date segments and closes the calendar
+   * @param {DateParts | null} date
+   */
+  #selectDate(date) {
+    if (!date || !this.#isSelectable(date)) return;
+
+    DATE_SEGMENT_TYPES.forEach((type) => {
+      this.#getSegment(type).value = date[type];
+    });
+    this.#segments.forEach((segment) => this.#renderSegment(segment));
+    this.#notifyConstraintChange();
+
+    this.#closeCalendar();
+    // A datetime still missing its time continues there
+    const emptySegment = this.#segments.find(({ value }) => value === null);
+    (emptySegment?.element ?? this.#calendarButton)?.focus();
+  }
+}
+
+customElements.define("input-date", InputDate);
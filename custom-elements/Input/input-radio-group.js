@@ -0,0 +1,276 @@
+/**
+ * @typedef {import('./input-radio.js').InputRadio} InputRadio
+ */
+
+// The group reads the value and state of its options, so they must be defined first
+import "./input-radio.js";
+
+/**
+ * InputRadioGroup - Component providing a group of InputRadio options, one of which can be selected
+ * The group is a single tab stop: the selected option, or else the first one that is enabled
+ * Arrow keys move focus between the options and select them, like native radio buttons
+ * Communicates with InputRoot through internal events
+ */
+export class InputRadioGroup extends HTMLElement {
+  #handleClickFunc = null;
+  #handleKeyDownFunc = null;
+  #handleFocusFunc = null;
+  #handleBlurFunc = null;
+  #radioObserver = null;
+
+  /**
+   * Attributes observed by this component
+   * Combines InputRadioGroup specific attributes and inherited attributes from InputRoot
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    // InputRadioGroup specific attributes
+    const groupAttributes = ["orientation"];
+    // Inherited attributes from InputRoot that affect this component
+    const inheritedAttributes = ["value", "disabled", "readonly", "required"];
+
+    return [...groupAttributes, ...inheritedAttributes];
+  }
+
+  constructor() {
+    super();
+
+    this.#handleClickFunc = this.#handleClick.bind(this);
+    this.#handleKeyDownFunc = this.#handleKeyDown.bind(this);
+    this.#handleFocusFunc = this.#handleFocus.bind(this);
+    this.#handleBlurFunc = this.#handleBlur.bind(this);
+    this.#radioObserver = new MutationObserver(() => this.#updateRadios());
+  }
+
+  connectedCallback() {
+    this.setAttribute("role", "radiogroup");
+
+    this.addEventListener("click", this.#handleClickFunc);
+    this.addEventListener("keydown", this.#handleKeyDownFunc);
+    this.addEventListener("focusin", this.#handleFocusFunc);
+    this.addEventListener("focusout", this.#handleBlurFunc);
+
+    // Options may be parsed after the group is upgraded, or be added, removed and changed later
+    this.#radioObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["value", "disabled"],
+    });
+    this.#updateRadios();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener("click", this.#handleClickFunc);
+    this.removeEventListener("keydown", this.#handleKeyDownFunc);
+    this.removeEventListener("focusin", this.#handleFocusFunc);
+    this.removeEventListener("focusout", this.#handleBlurFunc);
+    this.#radioObserver.disconnect();
+  }
+
+  /**
+   * @param {string} name - The name of the attribute that changed
+   * @param {string} oldValue - The previous value of the attribute
+   * @param {string} newValue - The new value of the attribute
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    this.#updateRadios();
+  }
+
+  /**
+   * The value of the selected option, empty when none is selected
+   * @returns {string}
+   */
+  get value() {
+    return this.#getRadios().find((radio) => radio.checked)?.value ?? "";
+  }
+
+  set value(newValue) {
+    this.setAttribute("value", String(newValue ?? ""));
+  }
+
+  /**
+   * @returns {"horizontal" | "vertical"}
+   */
+  get orientation() {
+    return this.getAttribute("orientation") === "horizontal" ? "horizontal" : "vertical";
+  }
+
+  set orientation(value) {
+    this.setAttribute("orientation", value);
+  }
+
+  /**
+   * @returns {InputRadio[]}
+   */
+  #getRadios() {
+    return [...this.querySelectorAll("input-radio")];
+  }
+
+  /**
+   * @param {InputRadio} radio
+   * @returns {boolean}
+   */
+  #isEnabled(radio) {
+    return !radio.hasAttribute("disabled");
+  }
+
+  /**
+   * Checks the option matching the value, and makes it the tab stop of the group
+   */
+  #updateRadios() {
+    const value = this.getAttribute("value") ?? "";
+    const radios = this.#getRadios();
+    const checked = value === "" ? null : radios.find((radio) => radio.value === value);
+    const firstEnabled = radios.find((radio) => this.#isEnabled(radio));
+    const tabStop = checked && this.#isEnabled(checked) ? checked : firstEnabled;
+    const isDisabled = this.hasAttribute("disabled");
+
+    radios.forEach((radio) => {
+      radio.setAttribute("aria-checked", String(radio === checked));
+      radio.setAttribute("tabindex", radio === tabStop && !isDisabled ? "0" : "-1");
+    });
+
+    this.toggleAttribute("aria-disabled", isDisabled);
+    this.toggleAttribute("aria-readonly", this.hasAttribute("readonly"));
+    this.toggleAttribute("aria-required", this.hasAttribute("required"));
+    // Only tells how the options are laid out, all arrow keys move in either orientation
+    this.setAttribute("aria-orientation", this.orientation);
+  }
+
+  /**
+   * Moves focus to an option, which becomes the tab stop of the group
+   * @param {InputRadio} radio
+   */
+  #focusRadio(radio) {
+    this.#getRadios().forEach((other) => {
+      other.setAttribute("tabindex", other === radio ? "0" : "-1");
+    });
+    radio.focus();
+  }
+
+  /**
+   * Selects an option like the user
+   * Nothing changes when the group or the option is disabled, or the group is readonly
+   * @param {InputRadio} radio
+   */
+  #select(radio) {
+    if (this.hasAttribute("disabled") || this.hasAttribute("readonly")) return;
+    if (!this.#isEnabled(radio) || radio.checked) return;
+
+    this.setAttribute("value", radio.value);
+    this.dispatchEvent(
+      new CustomEvent("_input-internal-change", {
+        bubbles: true,
+        composed: true,
+        detail: { value: radio.value },
+      })
+    );
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  #handleClick(event) {
+    const radio = /** @type {Element} */ (event.target).closest("input-radio");
+    if (!radio || !this.contains(radio) || this.hasAttribute("disabled")) return;
+    if (!this.#isEnabled(radio)) return;
+
+    this.#focusRadio(radio);
+    this.#select(radio);
+  }
+
+  /**
+   * Arrow keys move to the next or previous enabled option, wrapping around at the ends
+   * @param {KeyboardEvent} event
+   */
+  #handleKeyDown(event) {
+    const radio = /** @type {Element} */ (event.target).closest("input-radio");
+    if (!radio || this.hasAttribute("disabled")) return;
+
+    const isRtl = getComputedStyle(this).direction === "rtl";
+    let direction = 0;
+
+    switch (event.key) {
+      case "ArrowDown":
+        direction = 1;
+        break;
+      case "ArrowUp":
+        direction = -1;
+        break;
+      case "ArrowRight":
+        direction = isRtl ? -1 : 1;
+        break;
+      case "ArrowLeft":
+        direction = isRtl ? 1 : -1;
+        break;
+      case " ":
+        event.preventDefault();
+        this.#select(radio);
+        return;
+      case "Enter":
+        event.preventDefault();
+        this.dispatchEvent(
+          new CustomEvent("_input-internal-submit", {
+            bubbles: true,
+            composed: true,
+            detail: { target: this },
+          })
+        );
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    const enabledRadios = this.#getRadios().filter(
+      (other) => other === radio || this.#isEnabled(other)
+    );
+    const index = enabledRadios.indexOf(radio);
+    const next = enabledRadios[(index + direction + enabledRadios.length) % enabledRadios.length];
+    if (!next || next === radio) return;
+
+    this.#focusRadio(next);
+    this.#select(next);
+  }
+
+  /**
+   * Handle focus entering the group
+   * @param {FocusEvent} event
+   */
+  #handleFocus(event) {
+    // Focus moving between the options stays inside the group
+    if (this.contains(/** @type {Node} */ (event.relatedTarget))) return;
+
+    if (!this.hasAttribute("disabled")) {
+      this.dispatchEvent(
+        new CustomEvent("_input-internal-focus", {
+          bubbles: true,
+          composed: true,
+          detail: { target: this },
+        })
+      );
+    }
+  }
+
+  /**
+   * Handle focus leaving the group, which makes the selected option the tab stop again
+   * @param {FocusEvent} event
+   */
+  #handleBlur(event) {
+    if (this.contains(/** @type {Node} */ (event.relatedTarget))) return;
+
+    this.#updateRadios();
+    this.dispatchEvent(
+      new CustomEvent("_input-internal-blur", {
+        bubbles: true,
+        composed: true,
+        detail: { target: this },
+      })
+    );
+  }
+}
+
+customElements.define("input-radio-group", InputRadioGroup);
@@ -0,0 +1,63 @@
+/**
+ * InputRadio - Component providing an option of an InputRadioGroup
+ * Its content is the label. The group handles selection, focus and keyboard navigation
+ */
+export class InputRadio extends HTMLElement {
+  /** @type {["disabled"]} */
+  static get observedAttributes() {
+    return ["disabled"];
+  }
+
+  constructor() {
+    super();
+  }
+
+  connectedCallback() {
+    this.setAttribute("role", "radio");
+    if (!this.hasAttribute("aria-checked")) {
+      this.setAttribute("aria-checked", "false");
+    }
+    // The group makes the selected option, or else the first one, its tab stop
+    if (!this.hasAttribute("tabindex")) {
+      this.setAttribute("tabindex", "-1");
+    }
+  }
+
+  /**
+   * @param {"disabled"} name
+   */
+  attributeChangedCallback(name) {
+    if (name === "disabled") {
+      this.toggleAttribute("aria-disabled", this.hasAttribute("disabled"));
+    }
+  }
+
+  /**
+   * The value submitted when this option is selected, "on" without a value attribute
+   * @returns {string}
+   */
+  get value() {
+    return this.getAttribute("value") ?? "on";
+  }
+
+  set value(newValue) {
+    this.setAttribute("value", String(newValue));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get checked() {
+    return this.getAttribute("aria-checked") === "true";
+  }
+
+  get disabled() {
+    return this.hasAttribute("disabled");
+  }
+
+  set disabled(isDisabled) {
+    this.toggleAttribute("disabled", Boolean(isDisabled));
+  }
+}
+
+customElements.define("input-radio", InputRadio);
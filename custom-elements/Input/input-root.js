@@ -1,7 +1,33 @@
 /**
  * @typedef {import('./types.js').InputRootObservedAttributes} InputRootObservedAttributes
+ * @typedef {import('./types.js').InputValidator} InputValidator
+ * @typedef {import('./types.js').ValidatorContext} ValidatorContext
+ * @typedef {import('./types.js').InterfaceComponent} InterfaceComponent
+ * @typedef {import('./input-text.js').InputText} InputText
  */
 
+import { debounce } from '../../dom-utility/timing.js';
+
+// Wait for typing to pause before running validators, which may ask a server
+const VALIDATOR_DEBOUNCE_DELAY = 300;
+
+const VALIDATION_STATES = ['pending', 'valid', 'invalid'];
+
+const INTERFACE_SELECTOR = 'input-text, input-slider, input-date, input-checkbox, input-switch, input-radio-group';
+
+// Interfaces choosing from options, which commit their value right away instead of on blur
+const CHOICE_SELECTOR = 'input-checkbox, input-switch, input-radio-group';
+
+let idCounter = 0;
+
+/**
+ * @param {InterfaceComponent} component
+ * @returns {boolean} Whether the component holds text its type cannot turn into a value
+ */
+function isBadInput(component) {
+  return Boolean(component.getValidityState?.().flags.badInput);
+}
+
 /**
  * InputRoot - Main component managing input state and value
  * Coordinates between the interface components and form behavior
@@ -9,11 +35,26 @@
 export class InputRoot extends HTMLElement {
   #value = '';
   #type = 'text';
+  #checked = false;
+  // The value and checked state when the input was first connected, restored when its form is reset
+  #defaultValue = null;
+  #defaultChecked = null;
   #form = null;
   #internals = null;
+  #customValidityMessage = '';
+  #showValidity = false;
+  /** @type {Set<InputValidator>} */
+  #validators = new Set();
+  #validatorMessage = '';
+  #validatorController = null;
+  #isValidating = false;
+  #debouncedValidate = debounce(() => this.#runValidators(), VALIDATOR_DEBOUNCE_DELAY);
   #handleInternalChangeFunc = null;
   #handleInternalFocusFunc = null;
   #handleInternalBlurFunc = null;
+  #handleInvalidFunc = null;
+  #handleInternalSubmitFunc = null;
+  #handleInternalSearchFunc = null;
 
   /**
    * Indicates this custom element can be associated with a form
@@ -22,7 +63,7 @@ export class InputRoot extends HTMLElement {
 
   /** @type {InputRootObservedAttributes} */
   static get observedAttributes() {
-    return ['value', 'disabled', 'readonly', 'required', 'type', 'name', 'form'];
+    return ['value', 'checked', 'disabled', 'readonly', 'required', 'type', 'name', 'form'];
   }
 
   constructor() {
@@ -36,6 +77,9 @@ export class InputRoot extends HTMLElement {
     this.#handleInternalChangeFunc = this.#handleInternalChange.bind(this);
     this.#handleInternalFocusFunc = this.#handleInternalFocus.bind(this);
     this.#handleInternalBlurFunc = this.#handleInternalBlur.bind(this);
+    this.#handleInvalidFunc = this.#handleInvalid.bind(this);
+    this.#handleInternalSubmitFunc = this.#handleInternalSubmit.bind(this);
+    this.#handleInternalSearchFunc = this.#handleInternalSearch.bind(this);
   }
 
   connectedCallback() {
@@ -43,10 +87,16 @@ export class InputRoot extends HTMLElement {
     this.addEventListener('_input-internal-change', this.#handleInternalChangeFunc);
     this.addEventListener('_input-internal-focus', this.#handleInternalFocusFunc);
     this.addEventListener('_input-internal-blur', this.#handleInternalBlurFunc);
+    this.addEventListener('invalid', this.#handleInvalidFunc);
+    this.addEventListener('_input-internal-submit', this.#handleInternalSubmitFunc);
+    this.addEventListener('_input-internal-search', this.#handleInternalSearchFunc);
 
     // Set initial state based on attributes
     this.#type = this.getAttribute('type') || 'text';
     this.#value = this.getAttribute('value') || '';
+    this.#checked = this.hasAttribute('checked');
+    this.#defaultValue ??= this.#value;
+    this.#defaultChecked ??= this.#checked;
     
     // Setup form association
     if (this.#internals && this.hasAttribute('form')) {
@@ -57,6 +107,9 @@ export class InputRoot extends HTMLElement {
     // Set initial accessibility attributes
     this.setAttribute('role', 'group');
     this.#updateInterfaceState();
+    this.#updateFormValue();
+    this.#scheduleValidators();
+    this.#updateValidity();
   }
 
   disconnectedCallback() {
@@ -64,6 +117,14 @@ export class InputRoot extends HTMLElement {
     this.removeEventListener('_input-internal-change', this.#handleInternalChangeFunc);
     this.removeEventListener('_input-internal-focus', this.#handleInternalFocusFunc);
     this.removeEventListener('_input-internal-blur', this.#handleInternalBlurFunc);
+    this.removeEventListener('invalid', this.#handleInvalidFunc);
+    this.removeEventListener('_input-internal-submit', this.#handleInternalSubmitFunc);
+    this.removeEventListener('_input-internal-search', this.#handleInternalSearchFunc);
+
+    this.#debouncedValidate.cancel();
+    this.#validatorController?.abort();
+    this.#validatorController = null;
+    this.#isValidating = false;
   }
 
   /**
@@ -78,14 +139,28 @@ export class InputRoot extends HTMLElement {
       case 'value':
         this.#value = newValue || '';
         this.#updateInterfaceState();
+        this.#updateFormValue();
+        this.#scheduleValidators();
+        this.#updateValidity();
+        break;
+      case 'checked':
+        this.#checked = newValue !== null;
+        this.#updateInterfaceState();
+        this.#updateFormValue();
+        this.#updateValidity();
         break;
       case 'type':
         this.#type = newValue || 'text';
+        this.#updateInterfaceState();
         break;
       case 'disabled':
       case 'readonly':
       case 'required':
         this.#updateInterfaceState();
+        this.#updateValidity();
+        break;
+      case 'name':
+        this.#updateFormValue();
         break;
       case 'form':
         if (this.#internals) {
@@ -95,6 +170,20 @@ export class InputRoot extends HTMLElement {
     }
   }
 
+  /**
+   * Restores the initial value and checked state when the form is reset
+   * Errors are hidden again until the user leaves the input, and the interfaces forget the edits of the user
+   */
+  formResetCallback() {
+    this.#showValidity = false;
+    this.value = this.#defaultValue ?? '';
+    this.checked = this.#defaultChecked ?? false;
+
+    const components = /** @type {InterfaceComponent[]} */ ([...this.querySelectorAll(INTERFACE_SELECTOR)]);
+    components.forEach(component => component.resetDirtyState?.());
+    this.#updateValidity();
+  }
+
   // Public getters and setters
   get value() {
     return this.#value;
@@ -102,10 +191,56 @@ export class InputRoot extends HTMLElement {
 
   set value(newValue) {
     this.#value = String(newValue);
+    if (this.#isPrivate()) {
+      this.#updateInterfaceState();
+      this.#updateFormValue();
+      this.#scheduleValidators();
+      return;
+    }
     this.setAttribute('value', this.#value);
     this.#updateInterfaceState();
   }
 
+  /**
+   * The value as a number, or NaN when it is empty or not a number
+   * Only number inputs and sliders hold numbers
+   * @returns {number}
+   */
+  get valueAsNumber() {
+    const isNumeric = this.#type === 'number' || this.querySelector('input-slider:not([range])');
+    if (!isNumeric || this.#value.trim() === '') return NaN;
+    return Number(this.#value);
+  }
+
+  set valueAsNumber(newValue) {
+    this.value = Number.isNaN(newValue) ? '' : String(newValue);
+  }
+
+  /**
+   * Whether a checkbox or switch is checked
+   * Only then its value, "on" by default, is submitted with the form
+   * @returns {boolean}
+   */
+  get checked() {
+    return this.#checked;
+  }
+
+  set checked(isChecked) {
+    this.toggleAttribute('checked', Boolean(isChecked));
+  }
+
+  /**
+   * Whether a checkbox shows a mixed state, until the user toggles it
+   * @returns {boolean}
+   */
+  get indeterminate() {
+    return this.querySelector('input-checkbox')?.hasAttribute('indeterminate') ?? false;
+  }
+
+  set indeterminate(isIndeterminate) {
+    this.querySelector('input-checkbox')?.toggleAttribute('indeterminate', Boolean(isIndeterminate));
+  }
+
   get type() {
     return this.#type;
   }
@@ -158,28 +293,124 @@ export class InputRoot extends HTMLElement {
     return this.#form;
   }
 
+  /**
+   * @returns {ValidityState | undefined} The validity of the value, undefined without ElementInternals
+   */
+  get validity() {
+    return this.#internals?.validity;
+  }
+
+  /**
+   * @returns {string} The message describing why the value is invalid, empty when valid
+   */
+  get validationMessage() {
+    return this.#internals?.validationMessage ?? '';
+  }
+
+  /**
+   * @returns {boolean} Whether the input takes part in constraint validation, false when disabled or readonly
+   */
+  get willValidate() {
+    return this.#internals?.willValidate ?? false;
+  }
+
+  /**
+   * Checks the value against its constraints
+   * Fires a cancelable invalid event when it fails them
+   * @returns {boolean} Whether the value is valid
+   */
+  checkValidity() {
+    return this.#internals?.checkValidity() ?? true;
+  }
+
+  /**
+   * Checks the value against its constraints and shows the message to the user when it fails them
+   * The message is shown at the focused interface component, or the one causing the failure
+   * @returns {boolean} Whether the value is valid
+   */
+  reportValidity() {
+    if (!this.#internals) return true;
+
+    this.#showValidity = true;
+    this.#updateValidity();
+    return this.#internals.reportValidity();
+  }
+
+  /**
+   * Marks the value as invalid with a custom message, or valid again with an empty message
+   * @param {string} message
+   */
+  setCustomValidity(message) {
+    this.#customValidityMessage = String(message ?? '');
+    this.#updateValidity();
+  }
+
+  /**
+   * Registers a validator that runs whenever the value changes, after typing pauses
+   * A validator returns, or resolves to, a message when the value is invalid and nothing when it is valid
+   * Runs that are overtaken by a newer value are aborted through the signal of the context
+   * @param {InputValidator} validator
+   * @returns {() => void} Removes the validator again
+   */
+  addValidator(validator) {
+    this.#validators.add(validator);
+    this.#scheduleValidators();
+
+    return () => {
+      if (!this.#validators.delete(validator)) return;
+      this.#scheduleValidators();
+    };
+  }
+
+  /**
+   * Runs the validators right away, for instance when a field they compare against changed
+   * @returns {Promise<boolean>} Whether the value is valid once the validators settled
+   */
+  async validate() {
+    this.#debouncedValidate.cancel();
+    await this.#runValidators();
+    return this.#internals?.validity.valid ?? true;
+  }
+
   /**
    * Handle internal change events from child components
    * @param {CustomEvent} event - The internal change event
    */
   #handleInternalChange(event) {
     event.stopPropagation();
+
+    // Checkboxes and switches report their checked state, which commits right away like a native checkbox
+    if ('checked' in event.detail) {
+      this.checked = event.detail.checked;
+      this.dispatchEvent(new Event('input', { bubbles: true }));
+      this.dispatchEvent(new Event('change', { bubbles: true }));
+      return;
+    }
+
     const newValue = event.detail.value;
     
     if (this.#value !== newValue) {
       this.#value = newValue;
       
-      // Update the value attribute to reflect the new value
-      this.setAttribute('value', newValue);
+      // Update the value attribute to reflect the new value, except for a password
+      if (this.#isPrivate()) {
+        this.#scheduleValidators();
+      } else {
+        this.setAttribute('value', newValue);
+      }
       
       // Dispatch standard input event
       this.dispatchEvent(new Event('input', { bubbles: true }));
+      if (this.#isChoice()) {
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+      }
       
       // Update form internals if available
-      if (this.#internals) {
-        this.#internals.setFormValue(newValue);
-      }
+      this.#updateFormValue();
     }
+
+    // Interfaces also report changes that only affect validity, like typing text that is not a number
+    this.#updateValidity();
   }
 
   /**
@@ -188,6 +419,9 @@ export class InputRoot extends HTMLElement {
    */
   #handleInternalFocus(event) {
     event.stopPropagation();
+
+    // Anchor the validation message at the component that has focus
+    this.#updateValidity();
     this.dispatchEvent(new Event('focus', { bubbles: true }));
   }
 
@@ -197,42 +431,339 @@ export class InputRoot extends HTMLElement {
    */
   #handleInternalBlur(event) {
     event.stopPropagation();
+
+    // Like :user-invalid, errors are shown once the user has left the input
+    this.#showValidity = true;
+    this.#updateValidity();
     
-    // Dispatch standard change event on blur
-    this.dispatchEvent(new Event('change', { bubbles: true }));
+    // Dispatch standard change event on blur, choices already fired it when picked
+    if (!this.#isChoice()) {
+      this.dispatchEvent(new Event('change', { bubbles: true }));
+    }
     this.dispatchEvent(new Event('blur', { bubbles: true }));
   }
 
+  /**
+   * Handle Enter in a single-line interface component
+   * Search inputs fire search, then the form is submitted like from a native text field
+   * @param {CustomEvent} event - The internal submit event
+   */
+  #handleInternalSubmit(event) {
+    event.stopPropagation();
+
+    if (this.#type === 'search') {
+      this.dispatchEvent(new Event('search', { bubbles: true }));
+    }
+
+    const form = this.#internals?.form;
+    if (!form) return;
+
+    // Implicit submission goes through the default button, and is blocked when it is disabled
+    const submitter = [...form.elements].find(element => element.type === 'submit');
+    if (!submitter) {
+      form.requestSubmit();
+    } else if (!submitter.disabled) {
+      form.requestSubmit(submitter);
+    }
+  }
+
+  /**
+   * Handle a search being cleared in a child component
+   * @param {CustomEvent} event - The internal search event
+   */
+  #handleInternalSearch(event) {
+    event.stopPropagation();
+    this.dispatchEvent(new Event('search', { bubbles: true }));
+  }
+
+  /**
+   * @returns {boolean} Whether the interface picks from options, like a checkbox or radio group
+   */
+  #isChoice() {
+    return Boolean(this.querySelector(CHOICE_SELECTOR));
+  }
+
+  /**
+   * @returns {boolean} Whether the interface is a checkbox or switch, which submits the value only when checked
+   */
+  #isCheckable() {
+    return Boolean(this.querySelector('input-checkbox, input-switch'));
+  }
+
+  /**
+   * @returns {boolean} Whether the value stays out of the value attribute, like the value of a native password input
+   */
+  #isPrivate() {
+    return this.#type === 'password';
+  }
+
+  /**
+   * Show the errors once a check of the form or the input found them
+   */
+  #handleInvalid() {
+    if (this.#showValidity) return;
+
+    this.#showValidity = true;
+    this.#updateValidity();
+  }
+
+  /**
+   * Update the value submitted with the form
+   * A range slider holds "start,end", which is submitted as two entries under the name
+   * Checkboxes and switches submit nothing while unchecked, and radio groups while nothing is selected
+   */
+  #updateFormValue() {
+    if (!this.#internals) return;
+
+    if (this.#isCheckable()) {
+      this.#internals.setFormValue(this.#checked ? this.#value || 'on' : null);
+    } else if (this.querySelector('input-radio-group') && this.#value === '') {
+      this.#internals.setFormValue(null);
+    } else if (this.querySelector('input-slider[range]')) {
+      const data = new FormData();
+      if (this.name && this.#value) {
+        this.#value.split(',').forEach(value => data.append(this.name, value.trim()));
+      }
+      this.#internals.setFormValue(data, this.#value);
+    } else {
+      this.#internals.setFormValue(this.#value);
+    }
+  }
+
+  /**
+   * Marks the validators as pending and runs them once typing pauses
+   * An empty value is left to the required attribute
+   */
+  #scheduleValidators() {
+    if (!this.isConnected) return;
+
+    this.#debouncedValidate.cancel();
+    this.#validatorController?.abort();
+    this.#validatorController = null;
+
+    if (this.#validators.size === 0 || this.#value === '') {
+      this.#isValidating = false;
+      this.#validatorMessage = '';
+    } else {
+      this.#isValidating = true;
+      this.#debouncedValidate();
+    }
+    this.#updateValidity();
+  }
+
+  /**
+   * Runs all validators on the current value, cancelling any run in flight
+   * The first message of a validator that rejects the value becomes the validation message
+   */
+  async #runValidators() {
+    this.#validatorController?.abort();
+    this.#validatorController = null;
+
+    if (this.#validators.size === 0 || this.#value === '') {
+      this.#isValidating = false;
+      this.#validatorMessage = '';
+      this.#updateValidity();
+      return;
+    }
+
+    const controller = new AbortController();
+    this.#validatorController = controller;
+    this.#isValidating = true;
+    this.#updateValidity();
+
+    /** @type {ValidatorContext} */
+    const context = {
+      signal: controller.signal,
+      getSibling: name => this.#getSibling(name),
+    };
+
+    const messages = await Promise.all([...this.#validators].map(async validator => {
+      try {
+        return await validator(this.#value, context);
+      } catch {
+        // A validator that fails to check, like a server that is down, does not block the form
+        return null;
+      }
+    }));
+    if (controller.signal.aborted) return;
+
+    this.#validatorController = null;
+    this.#isValidating = false;
+    this.#validatorMessage = messages.find(Boolean) ?? '';
+    this.#updateValidity();
+  }
+
+  /**
+   * Finds another field by name, in the same form or else in the same document
+   * @param {string} name
+   * @returns {Element | RadioNodeList | null}
+   */
+  #getSibling(name) {
+    const form = this.#internals?.form ?? this.closest('form');
+    if (form) {
+      return form.elements.namedItem(name);
+    }
+
+    const root = /** @type {Document | ShadowRoot} */ (this.getRootNode());
+    return root.querySelector(`[name="${CSS.escape(name)}"]`);
+  }
+
+  /**
+   * Update the validity from the required attribute, the constraints of the interface components,
+   * the validators and the custom validity message
+   * The message is anchored at the focused interface component, or else the one failing its constraints
+   * Pending validators keep the value invalid, so the form cannot be submitted before they settled
+   */
+  #updateValidity() {
+    if (!this.#internals) return;
+
+    const components = /** @type {InterfaceComponent[]} */ ([...this.querySelectorAll(INTERFACE_SELECTOR)]);
+    /** @type {ValidityStateFlags} */
+    const flags = {};
+    const messages = [];
+    let anchor = null;
+
+    if (this.#isCheckable()) {
+      if (this.required && !this.#checked) {
+        flags.valueMissing = true;
+        messages.push('Please check this box if you want to proceed.');
+      }
+    } else if (this.required && this.#value === '' && !components.some(isBadInput)) {
+      flags.valueMissing = true;
+      messages.push(this.#isChoice() ? 'Please select one of these options.' : 'Please fill out this field.');
+    }
+
+    components.forEach(component => {
+      const state = component.getValidityState?.();
+      if (!state || !Object.values(state.flags).some(Boolean)) return;
+
+      Object.assign(flags, state.flags);
+      messages.push(state.message);
+      anchor ??= component;
+    });
+
+    if (this.#validatorMessage && !this.#isValidating) {
+      flags.customError = true;
+      messages.push(this.#validatorMessage);
+    }
+
+    if (this.#customValidityMessage) {
+      flags.customError = true;
+      messages.unshift(this.#customValidityMessage);
+    }
+
+    const isInvalid = Object.values(flags).some(Boolean);
+    const focused = components.find(component => component.contains(document.activeElement));
+    if (isInvalid) {
+      this.#internals.setValidity(flags, messages[0], focused ?? anchor ?? components[0]);
+    } else if (this.#isValidating) {
+      this.#internals.setValidity(
+        { customError: true },
+        'Please wait until the value has been checked.',
+        focused ?? components[0]
+      );
+    } else {
+      this.#internals.setValidity({});
+    }
+
+    this.#setValidationState(isInvalid ? 'invalid' : this.#isValidating ? 'pending' : 'valid');
+
+    // Errors are shown once the user has left the input, and stay put while validators are pending
+    if (this.#isValidating && !isInvalid) return;
+
+    const isShown = isInvalid && this.#showValidity;
+    components.forEach(component => {
+      if (isShown) {
+        component.setAttribute('aria-invalid', 'true');
+      } else {
+        component.removeAttribute('aria-invalid');
+      }
+    });
+    this.#updateErrorMessage(isShown ? messages[0] : '');
+  }
+
+  /**
+   * Exposes the validation state as a custom state, for :state(pending), :state(valid) and :state(invalid)
+   * @param {'pending' | 'valid' | 'invalid'} state
+   */
+  #setValidationState(state) {
+    const states = this.#internals?.states;
+    if (!states) return;
+
+    VALIDATION_STATES.forEach(name => {
+      const method = name === state ? 'add' : 'delete';
+      try {
+        states[method](name);
+      } catch {
+        // Older browsers only accept the dashed-ident syntax, matched by :--pending
+        states[method](`--${name}`);
+      }
+    });
+  }
+
+  /**
+   * Shows the message in the error message element, created when first needed
+   * A child with slot="error" is used when present, and linked to the interface components with aria-describedby
+   * @param {string} message
+   */
+  #updateErrorMessage(message) {
+    let errorElement = this.querySelector(':scope > [slot="error"]');
+    if (!errorElement) {
+      if (!message) return;
+
+      errorElement = document.createElement('div');
+      errorElement.slot = 'error';
+      errorElement.setAttribute('aria-live', 'polite');
+      this.appendChild(errorElement);
+    }
+
+    if (!errorElement.id) {
+      errorElement.id = `input-error-${++idCounter}`;
+    }
+    errorElement.textContent = message;
+
+    // Single sliders and the thumbs of range sliders are the focusable parts of a slider,
+    // and the segments those of a date
+    const describedSelector =
+      'input-text, [role="slider"], input-date [data-segment], input-checkbox, input-switch, input-radio-group';
+    this.querySelectorAll(describedSelector).forEach(component => {
+      const ids = (component.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      if (!ids.includes(errorElement.id)) {
+        component.setAttribute('aria-describedby', [...ids, errorElement.id].join(' '));
+      }
+    });
+  }
+
   /**
    * Update the state of all child interface components
    */
   #updateInterfaceState() {
     // Find all interface components
-    const interfaceComponents = this.querySelectorAll('input-text, input-slider');
+    const interfaceComponents = this.querySelectorAll(INTERFACE_SELECTOR);
     
     // Update each interface component with the current state
     interfaceComponents.forEach(component => {
-      // Set value - only if different to prevent infinite loops
-      if (component.getAttribute('value') !== this.#value) {
-        component.setAttribute('value', this.#value);
-        
-        // For sliders, ensure value change is processed after element is fully initialized
-        if (component.tagName.toLowerCase() === 'input-slider') {
-          setTimeout(() => {
-            // Trick to force a re-render
-            const currentLeft = component.querySelector('input-slider-thumb')?.style.left;
-            if (currentLeft === '0%' || !currentLeft) {
-              // Force a recalculation if thumb is at 0% but value isn't minimum
-              const value = Number(this.#value);
-              const min = Number(component.getAttribute('min') || 0);
-              if (value > min) {
-                // Toggle attribute to force update
-                component.removeAttribute('value');
-                component.setAttribute('value', this.#value);
-              }
-            }
-          }, 0);
+      // Text and date interfaces follow the type of the root, like type="number" or type="time"
+      if (component.matches('input-text, input-date') &&
+          component.getAttribute('type') !== this.#type) {
+        component.setAttribute('type', this.#type);
+      }
+
+      // Checkboxes and switches take the checked state, the value is only what they submit
+      // A password is passed on as a property, so it stays out of the DOM
+      // Before the component is upgraded it can only take the value attribute, which it then keeps as default
+      if (component.matches('input-checkbox, input-switch')) {
+        component.toggleAttribute('checked', this.#checked);
+      } else if (this.#isPrivate() &&
+          component.tagName.toLowerCase() === 'input-text' &&
+          component.matches(':defined')) {
+        const inputText = /** @type {InputText} */ (component);
+        if (inputText.value !== this.#value) {
+          inputText.value = this.#value;
         }
+      } else if (component.getAttribute('value') !== this.#value) {
+        // Set value - only if different to prevent infinite loops
+        component.setAttribute('value', this.#value);
       }
       
       // Set disabled state
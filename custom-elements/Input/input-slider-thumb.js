@@ -1,5 +1,6 @@
 /**
  * InputSliderThumb - Component providing the draggable thumb for the slider
+ * InputSlider places it, as only the slider knows its orientation and direction
  */
 export class InputSliderThumb extends HTMLElement {
   constructor() {
@@ -7,11 +8,10 @@ export class InputSliderThumb extends HTMLElement {
   }
 
   connectedCallback() {
-    // Set initial position
-    this.style.left = '0%';
-    
-    // Set accessibility attributes
-    this.setAttribute('role', 'presentation');
+    // Set accessibility attributes, unless the slider made the thumb a slider of its own
+    if (!this.hasAttribute('role')) {
+      this.setAttribute('role', 'presentation');
+    }
   }
 }
 
@@ -7,12 +7,34 @@ export class InputSliderTrack extends HTMLElement {
   }
 
   connectedCallback() {
-    // Set default CSS variables
-    this.style.setProperty('--filled-percentage', '0%');
+    // Set default CSS variables, unless the slider already filled the track
+    if (!this.style.getPropertyValue('--filled-percentage')) {
+      this.style.setProperty('--filled-percentage', '0%');
+    }
     
     // Set accessibility attributes
     this.setAttribute('role', 'presentation');
   }
+
+  /**
+   * Renders tick marks along the track, replacing the previous ones
+   * Labels are only visual, the slider announces them through aria-valuetext
+   * @param {{ position: number, label?: string | null }[]} ticks - Positions in percent of the track
+   */
+  setTicks(ticks) {
+    this.querySelectorAll('[data-tick]').forEach(tick => tick.remove());
+
+    ticks.forEach(({ position, label }) => {
+      const tick = document.createElement('span');
+      tick.dataset.tick = '';
+      tick.setAttribute('aria-hidden', 'true');
+      tick.style.setProperty('--tick-position', `${position}%`);
+      if (label) {
+        tick.dataset.label = label;
+      }
+      this.appendChild(tick);
+    });
+  }
 }
 
 customElements.define('input-slider-track', InputSliderTrack); 
\ No newline at end of file
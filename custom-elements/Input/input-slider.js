@@ -1,22 +1,57 @@
 /**
  * @typedef {import('./types.js').InputSliderObservedAttributes} InputSliderObservedAttributes
+ * @typedef {import('./types.js').SliderScale} SliderScale
+ * @typedef {import('./types.js').SliderFormat} SliderFormat
  */
 
-import { wait } from "../../dom-utility/timing.js";
+import { getDecimals, roundToDecimals } from "../../dom-utility/number.js";
+
+// Above this many steps, tick marks at every step would merge into a solid bar
+const MAX_STEP_TICKS = 200;
+
+// Share of the track an arrow key moves a non-linear slider, so steps look even
+const KEYBOARD_POSITION_STEP = 0.01;
+
+/** @type {SliderScale} */
+const LINEAR_SCALE = {
+  toPosition: (value, min, max) => (value - min) / (max - min),
+  toValue: (position, min, max) => min + position * (max - min),
+};
+
+/** @type {SliderScale} */
+const LOG_SCALE = {
+  toPosition: (value, min, max) =>
+    (Math.log(value) - Math.log(min)) / (Math.log(max) - Math.log(min)),
+  toValue: (position, min, max) =>
+    Math.exp(Math.log(min) + position * (Math.log(max) - Math.log(min))),
+};
 
 /**
  * InputSlider - Component providing a slider input interface
  * Communicates with InputRoot through internal events
+ * With the range attribute it has two thumbs and its value is "start,end"
  */
 export class InputSlider extends HTMLElement {
   #min = 0;
   #max = 100;
   #step = 1;
-  #value = 0;
-  #isInteracting = false;
+  #minDistance = 0;
+  #values = [0];
+  #activeThumb = 0;
+  #pointerId = null;
   #trackElement = null;
-  #thumbElement = null;
+  #thumbElements = [];
   #isConnected = false;
+  #handlePointerDownFunc = null;
+  #handlePointerMoveFunc = null;
+  #handlePointerEndFunc = null;
+  #handleKeyDownFunc = null;
+  #handleFocusFunc = null;
+  #handleBlurFunc = null;
+  #customScale = null;
+  #format = null;
+  #formatter = null;
+  #listObserver = null;
 
   /**
    * Attributes observed by this component
@@ -25,7 +60,21 @@ export class InputSlider extends HTMLElement {
    */
   static get observedAttributes() {
     // InputSlider specific attributes
-    const sliderAttributes = ["min", "max", "step"];
+    const sliderAttributes = [
+      "min",
+      "max",
+      "step",
+      "range",
+      "value-start",
+      "value-end",
+      "min-distance",
+      "orientation",
+      "list",
+      "ticks",
+      "tick-labels",
+      "scale",
+      "output",
+    ];
     // Inherited attributes from InputRoot that affect this component
     const inheritedAttributes = ["value", "disabled", "readonly", "required"];
 
@@ -35,78 +84,81 @@ export class InputSlider extends HTMLElement {
   constructor() {
     super();
     this.#isConnected = false;
+
+    // Bind event handlers once, so the same references can be removed again
+    this.#handlePointerDownFunc = this.#handlePointerDown.bind(this);
+    this.#handlePointerMoveFunc = this.#handlePointerMove.bind(this);
+    this.#handlePointerEndFunc = this.#handlePointerEnd.bind(this);
+    this.#handleKeyDownFunc = this.#handleKeyDown.bind(this);
+    this.#handleFocusFunc = this.#handleFocus.bind(this);
+    this.#handleBlurFunc = this.#handleBlur.bind(this);
+    this.#listObserver = new MutationObserver(() => this.#handleListChange());
   }
 
   connectedCallback() {
-    // Find track and thumb elements
+    // Find the track element, creating it if missing
     this.#trackElement = this.querySelector("input-slider-track");
-    this.#thumbElement = this.querySelector("input-slider-thumb");
 
-    // If track or thumb is missing, create them
     if (!this.#trackElement) {
       this.#trackElement = document.createElement("input-slider-track");
       this.appendChild(this.#trackElement);
     }
 
-    if (!this.#thumbElement) {
-      this.#thumbElement = document.createElement("input-slider-thumb");
-      this.appendChild(this.#thumbElement);
-    }
-
     // Initialize values from attributes
     this.#min = Number(this.getAttribute("min") || 0);
     this.#max = Number(this.getAttribute("max") || 100);
     this.#step = Number(this.getAttribute("step") || 1);
-    this.#value = Number(this.getAttribute("value") || this.#min);
+    this.#minDistance = Number(this.getAttribute("min-distance") || 0);
 
-    // Ensure value is within min/max range
-    this.#value = Math.max(this.#min, Math.min(this.#max, this.#value));
+    // Find one thumb per value, creating missing ones
+    this.#updateThumbs();
+    this.#values = this.#parseValues();
 
-    // Set up event listeners
-    this.addEventListener("mousedown", this.#handleMouseDown.bind(this));
-    this.addEventListener("touchstart", this.#handleTouchStart.bind(this), { passive: false });
-    window.addEventListener("mousemove", this.#handleMouseMove.bind(this));
-    window.addEventListener("touchmove", this.#handleTouchMove.bind(this), { passive: false });
-    window.addEventListener("mouseup", this.#handleInteractionEnd.bind(this));
-    window.addEventListener("touchend", this.#handleInteractionEnd.bind(this));
+    // Set up pointer listeners; pointer capture keeps moves coming while dragging outside
+    this.addEventListener("pointerdown", this.#handlePointerDownFunc);
+    this.addEventListener("pointermove", this.#handlePointerMoveFunc);
+    this.addEventListener("pointerup", this.#handlePointerEndFunc);
+    this.addEventListener("pointercancel", this.#handlePointerEndFunc);
+    this.addEventListener("lostpointercapture", this.#handlePointerEndFunc);
 
     // Set up keyboard navigation
-    this.addEventListener("keydown", this.#handleKeyDown.bind(this));
+    this.addEventListener("keydown", this.#handleKeyDownFunc);
 
     // Set accessibility attributes
-    this.setAttribute("role", "slider");
-
-    // Make component focusable
-    if (!this.hasAttribute("tabindex")) {
-      this.setAttribute("tabindex", "0");
-    }
+    this.#updateAccessibility();
 
-    this.setAttribute("aria-valuemin", String(this.#min));
-    this.setAttribute("aria-valuemax", String(this.#max));
-    this.setAttribute("aria-valuenow", String(this.#value));
-
-    // Handle focus events
-    this.addEventListener("focus", this.#handleFocus.bind(this));
-    this.addEventListener("blur", this.#handleBlur.bind(this));
+    // Handle focus events, which come from the thumbs in range mode
+    this.addEventListener("focusin", this.#handleFocusFunc);
+    this.addEventListener("focusout", this.#handleBlurFunc);
 
     // Mark as connected
     this.#isConnected = true;
+    this.#observeList();
 
-    // Update the visual representation
-    // this.#updatePosition();
-
-    // Use a short delay to ensure the DOM is fully ready and styles are applied
-    wait().then(() => {
-      // this.#updatePosition();
+    // The track renders the ticks once it is upgraded
+    customElements.whenDefined("input-slider-track").then(() => {
+      this.#updateTicks();
     });
+
+    // Place the thumbs at the values, which InputRoot may have set before the slider was upgraded
+    this.#updatePosition();
   }
 
   disconnectedCallback() {
-    // Remove global event listeners
-    window.removeEventListener("mousemove", this.#handleMouseMove.bind(this));
-    window.removeEventListener("touchmove", this.#handleTouchMove.bind(this));
-    window.removeEventListener("mouseup", this.#handleInteractionEnd.bind(this));
-    window.removeEventListener("touchend", this.#handleInteractionEnd.bind(this));
+    // Remove event listeners
+    this.removeEventListener("pointerdown", this.#handlePointerDownFunc);
+    this.removeEventListener("pointermove", this.#handlePointerMoveFunc);
+    this.removeEventListener("pointerup", this.#handlePointerEndFunc);
+    this.removeEventListener("pointercancel", this.#handlePointerEndFunc);
+    this.removeEventListener("lostpointercapture", this.#handlePointerEndFunc);
+    this.removeEventListener("keydown", this.#handleKeyDownFunc);
+    this.removeEventListener("focusin", this.#handleFocusFunc);
+    this.removeEventListener("focusout", this.#handleBlurFunc);
+    this.#listObserver.disconnect();
+
+    // Abandon a drag in progress; capture is already lost once the element is removed
+    this.#pointerId = null;
+    this.toggleAttribute("data-dragging", false);
 
     this.#isConnected = false;
   }
@@ -122,19 +174,56 @@ export class InputSlider extends HTMLElement {
     switch (name) {
       case "min":
         this.#min = Number(newValue || 0);
-        this.setAttribute("aria-valuemin", String(this.#min));
+        this.#updateAriaValues();
+        this.#updateTicks();
         break;
       case "max":
         this.#max = Number(newValue || 100);
-        this.setAttribute("aria-valuemax", String(this.#max));
+        this.#updateAriaValues();
+        this.#updateTicks();
         break;
       case "step":
         this.#step = Number(newValue || 1);
+        this.#updateTicks();
+        break;
+      case "list":
+        if (this.#isConnected) {
+          this.#observeList();
+          this.#handleListChange();
+        }
+        break;
+      case "ticks":
+      case "tick-labels":
+        this.#updateTicks();
+        this.#updateAriaValues();
+        break;
+      case "scale":
+        this.#updateTicks();
+        this.#updatePosition();
+        break;
+      case "output":
+        this.#updateAriaValues();
+        break;
+      case "min-distance":
+        this.#minDistance = Number(newValue || 0);
+        break;
+      case "orientation":
+        if (this.#isConnected) {
+          this.#updateAccessibility();
+          this.#updatePosition();
+        }
+        break;
+      case "range":
+        if (this.#isConnected) {
+          this.#updateThumbs();
+          this.#values = this.#parseValues();
+          this.#updateAccessibility();
+          this.#updatePosition();
+        }
         break;
       case "value":
-        this.#value = Number(newValue || this.#min);
-        this.#value = Math.max(this.#min, Math.min(this.#max, this.#value));
-        this.setAttribute("aria-valuenow", String(this.#value));
+        this.#values = this.#parseValues();
+        this.#updateAriaValues();
         // Update position if connected
         if (this.#isConnected) {
           // Use setTimeout to ensure consistent rendering
@@ -143,8 +232,25 @@ export class InputSlider extends HTMLElement {
           }, 0);
         }
         break;
+      case "value-start":
+      case "value-end":
+        // The value attribute holds both values, so keep it in sync
+        if (this.range && newValue !== null) {
+          const index = name === "value-start" ? 0 : 1;
+          const previousValue = this.#values[index];
+          this.#values[index] = this.#constrain(Number(newValue), index);
+          this.#reflectValues();
+
+          // InputRoot only hears of changes made through the value attribute otherwise
+          if (this.#isConnected && this.#values[index] !== previousValue) {
+            this.#updatePosition();
+            this.#dispatchChange();
+          }
+        }
+        break;
       case "disabled":
         this.toggleAttribute("aria-disabled", this.hasAttribute("disabled"));
+        this.#updateAccessibility();
         break;
       case "readonly":
         this.toggleAttribute("aria-readonly", this.hasAttribute("readonly"));
@@ -156,16 +262,130 @@ export class InputSlider extends HTMLElement {
   }
 
   // Public getters and setters
+  /**
+   * The value as a number, or "start,end" in range mode
+   * @returns {number | string}
+   */
   get value() {
-    return this.#value;
+    return this.range ? this.#values.join(",") : this.#values[0];
   }
 
   set value(newValue) {
+    if (this.range) {
+      const values = Array.isArray(newValue) ? newValue : String(newValue).split(",");
+      this.setAttribute("value", values.join(","));
+      return;
+    }
+
     const numValue = Number(newValue);
     const normalizedValue = Math.max(this.#min, Math.min(this.#max, numValue));
     this.setAttribute("value", String(normalizedValue));
   }
 
+  get valueStart() {
+    return this.#values[0];
+  }
+
+  set valueStart(value) {
+    this.setAttribute("value-start", String(value));
+  }
+
+  get valueEnd() {
+    return this.#values[this.#values.length - 1];
+  }
+
+  set valueEnd(value) {
+    this.setAttribute("value-end", String(value));
+  }
+
+  /**
+   * @returns {"horizontal" | "vertical"}
+   */
+  get orientation() {
+    return this.getAttribute("orientation") === "vertical" ? "vertical" : "horizontal";
+  }
+
+  set orientation(value) {
+    this.setAttribute("orientation", value);
+  }
+
+  /**
+   * How values map to positions on the track: "linear", "log", or custom mapping functions
+   * A logarithmic scale needs a min above 0 and falls back to linear otherwise
+   * @returns {"linear" | "log" | SliderScale}
+   */
+  get scale() {
+    if (this.#customScale) return this.#customScale;
+    return this.getAttribute("scale") === "log" ? "log" : "linear";
+  }
+
+  /**
+   * @param {"linear" | "log" | SliderScale} scale
+   */
+  set scale(scale) {
+    if (typeof scale === "object" && scale !== null) {
+      this.#customScale = scale;
+      this.#updateTicks();
+      this.#updatePosition();
+      return;
+    }
+
+    this.#customScale = null;
+    this.setAttribute("scale", String(scale));
+    // Setting the same attribute value again does not re-render
+    this.#updateTicks();
+    this.#updatePosition();
+  }
+
+  /**
+   * Turns values into the text used for aria-valuetext, the tooltip and the output element:
+   * Intl.NumberFormat options or a formatter callback
+   * @returns {SliderFormat | null}
+   */
+  get format() {
+    return this.#format;
+  }
+
+  /**
+   * @param {SliderFormat | null} format
+   */
+  set format(format) {
+    this.#format = format ?? null;
+
+    if (typeof format === "function") {
+      this.#formatter = format;
+    } else if (format) {
+      const locale = this.closest("[lang]")?.getAttribute("lang") || undefined;
+      const numberFormat = new Intl.NumberFormat(locale, format);
+      this.#formatter = (value) => numberFormat.format(value);
+    } else {
+      this.#formatter = null;
+    }
+
+    this.#updateAriaValues();
+    this.#updateTicks();
+  }
+
+  get range() {
+    return this.hasAttribute("range");
+  }
+
+  set range(isRange) {
+    this.toggleAttribute("range", isRange);
+  }
+
+  /**
+   * The smallest allowed gap between the thumbs in range mode, at most the span of the slider
+   * @returns {number}
+   */
+  get minDistance() {
+    return this.#getMinDistance();
+  }
+
+  set minDistance(value) {
+    this.setAttribute("min-distance", String(value));
+  }
+
   get min() {
     return this.#min;
   }
@@ -191,73 +411,88 @@ export class InputSlider extends HTMLElement {
   }
 
   /**
-   * Updates the visual position of the slider thumb based on the current value
+   * Updates the visual position of the slider thumbs based on the current values
+   * The track is filled up to the thumb, or between the thumbs in range mode
+   * Vertical sliders grow upwards, horizontal ones from the inline start
    */
   #updatePosition() {
-    if (!this.#thumbElement || !this.#isConnected) return;
+    if (this.#thumbElements.length === 0 || !this.#isConnected) return;
 
-    const percentage = ((this.#value - this.#min) / (this.#max - this.#min)) * 100;
-    this.#thumbElement.style.left = `${percentage}%`;
+    const percentages = this.#values.map((value) => this.#toPercentage(value));
+    const isVertical = this.orientation === "vertical";
+    const isRtl = this.#isRtl();
+
+    this.#thumbElements.forEach((thumb, index) => {
+      if (isVertical) {
+        thumb.style.removeProperty("left");
+        thumb.style.bottom = `${percentages[index]}%`;
+      } else {
+        thumb.style.removeProperty("bottom");
+        thumb.style.left = `${isRtl ? 100 - percentages[index] : percentages[index]}%`;
+      }
+    });
 
     if (this.#trackElement) {
-      this.#trackElement.style.setProperty("--filled-percentage", `${percentage}%`);
+      const start = this.range ? percentages[0] : 0;
+      const end = percentages[percentages.length - 1];
+      this.#trackElement.style.setProperty("--filled-start", `${start}%`);
+      this.#trackElement.style.setProperty("--filled-percentage", `${end}%`);
     }
   }
 
   /**
-   * Handles mouse down events on the slider
-   * @param {MouseEvent} event - The mouse event
-   */
-  #handleMouseDown(event) {
-    if (this.hasAttribute("disabled") || this.hasAttribute("readonly")) return;
-
-    this.#isInteracting = true;
-    this.#updateValueFromPosition(event.clientX);
-    event.preventDefault();
-  }
-
-  /**
-   * Handles touch start events on the slider
-   * @param {TouchEvent} event - The touch event
+   * Starts a drag with a mouse, pen or touch pointer
+   * Other pointers are ignored until the drag ends
+   * @param {PointerEvent} event - The pointer event
    */
-  #handleTouchStart(event) {
+  #handlePointerDown(event) {
     if (this.hasAttribute("disabled") || this.hasAttribute("readonly")) return;
+    if (this.#pointerId !== null || event.button !== 0) return;
 
-    this.#isInteracting = true;
-    this.#updateValueFromPosition(event.touches[0].clientX);
+    this.#pointerId = event.pointerId;
+    this.setPointerCapture(event.pointerId);
+    this.toggleAttribute("data-dragging", true);
+    this.#startInteraction(event);
     event.preventDefault();
   }
 
   /**
-   * Handles mouse move events during slider interaction
-   * @param {MouseEvent} event - The mouse event
+   * Picks the thumb closest to the pointer and moves it there
+   * @param {{ clientX: number, clientY: number }} point - The pointer coordinates
    */
-  #handleMouseMove(event) {
-    if (!this.#isInteracting) return;
+  #startInteraction(point) {
+    this.#activeThumb = this.#getClosestThumb(this.#getValueFromPosition(point));
 
-    this.#updateValueFromPosition(event.clientX);
-    event.preventDefault();
+    if (this.range) {
+      this.#thumbElements[this.#activeThumb].focus();
+    }
+    this.#updateValueFromPosition(point);
   }
 
   /**
-   * Handles touch move events during slider interaction
-   * @param {TouchEvent} event - The touch event
+   * Handles pointer move events of the pointer that started the drag
+   * @param {PointerEvent} event - The pointer event
    */
-  #handleTouchMove(event) {
-    if (!this.#isInteracting) return;
+  #handlePointerMove(event) {
+    if (event.pointerId !== this.#pointerId) return;
 
-    this.#updateValueFromPosition(event.touches[0].clientX);
+    this.#updateValueFromPosition(event);
     event.preventDefault();
   }
 
   /**
-   * Handles the end of interaction (mouse up or touch end)
-   * @param {Event} event - The event
+   * Ends the drag on pointerup, or when the browser cancels the pointer or capture is lost
+   * @param {PointerEvent} event - The pointer event
    */
-  #handleInteractionEnd(event) {
-    if (!this.#isInteracting) return;
+  #handlePointerEnd(event) {
+    if (event.pointerId !== this.#pointerId) return;
 
-    this.#isInteracting = false;
+    // Capture is released on pointerup, so lostpointercapture follows and is ignored
+    this.#pointerId = null;
+    this.toggleAttribute("data-dragging", false);
+    if (this.hasPointerCapture(event.pointerId)) {
+      this.releasePointerCapture(event.pointerId);
+    }
 
     // Dispatch change event when interaction ends
     this.dispatchEvent(
@@ -276,17 +511,31 @@ export class InputSlider extends HTMLElement {
   #handleKeyDown(event) {
     if (this.hasAttribute("disabled") || this.hasAttribute("readonly")) return;
 
-    let newValue = this.#value;
+    // In range mode the focused thumb is the one that moves
+    const thumb = /** @type {Element} */ (event.target).closest("input-slider-thumb");
+    const index = this.range ? this.#thumbElements.indexOf(thumb) : 0;
+    if (index === -1) return;
+
+    const value = this.#values[index];
+    let newValue = value;
+    // Right points towards smaller values in a right-to-left horizontal slider
+    const rightSteps = this.orientation === "horizontal" && this.#isRtl() ? -1 : 1;
 
     switch (event.key) {
-      case "ArrowRight":
       case "ArrowUp":
-        newValue = Math.min(this.#max, this.#value + this.#step);
+        newValue = this.#stepValue(value, 1);
         event.preventDefault();
         break;
-      case "ArrowLeft":
       case "ArrowDown":
-        newValue = Math.max(this.#min, this.#value - this.#step);
+        newValue = this.#stepValue(value, -1);
+        event.preventDefault();
+        break;
+      case "ArrowRight":
+        newValue = this.#stepValue(value, rightSteps);
+        event.preventDefault();
+        break;
+      case "ArrowLeft":
+        newValue = this.#stepValue(value, -rightSteps);
         event.preventDefault();
         break;
       case "Home":
@@ -298,70 +547,538 @@ export class InputSlider extends HTMLElement {
         event.preventDefault();
         break;
       case "PageUp":
-        newValue = Math.min(this.#max, this.#value + this.#step * 10);
+        newValue = this.#stepValue(value, 10);
         event.preventDefault();
         break;
       case "PageDown":
-        newValue = Math.max(this.#min, this.#value - this.#step * 10);
+        newValue = this.#stepValue(value, -10);
         event.preventDefault();
         break;
     }
 
-    if (newValue !== this.#value) {
-      this.#value = newValue;
-      this.setAttribute("value", String(this.#value));
-      this.setAttribute("aria-valuenow", String(this.#value));
-      this.#updatePosition();
+    this.#commitValue(index, newValue);
+  }
 
-      // Dispatch internal change event
-      this.dispatchEvent(
-        new CustomEvent("_input-internal-change", {
-          bubbles: true,
-          composed: true,
-          detail: { value: this.#value.toString() },
-        })
-      );
+  /**
+   * Moves a value by a number of steps, or of stops when the slider has a list
+   * @param {number} value - The current value
+   * @param {number} steps - Number of steps, negative to decrease
+   * @returns {number}
+   */
+  #stepValue(value, steps) {
+    const stops = this.#getStops();
+    if (stops.length > 0) {
+      const current = stops.indexOf(this.#getNearestStop(stops, value));
+      const index = Math.max(0, Math.min(stops.length - 1, current + steps));
+      return stops[index].value;
     }
+
+    const scale = this.#getScale();
+    if (scale === LINEAR_SCALE) {
+      return value + this.#step * steps;
+    }
+
+    // Move by a share of the track, then step in value space, at least one step
+    const position = scale.toPosition(value, this.#min, this.#max);
+    const target = Math.max(
+      0,
+      Math.min(1, position + steps * KEYBOARD_POSITION_STEP)
+    );
+    const newValue = this.#roundToStep(scale.toValue(target, this.#min, this.#max));
+    return newValue === value ? value + this.#step * Math.sign(steps) : newValue;
+  }
+
+  /**
+   * Updates the value of the active thumb based on the pointer position
+   * @param {{ clientX: number, clientY: number }} point - The pointer coordinates
+   */
+  #updateValueFromPosition(point) {
+    this.#commitValue(this.#activeThumb, this.#getValueFromPosition(point));
   }
 
   /**
-   * Updates the slider value based on the pointer position
-   * @param {number} clientX - The client X coordinate of the pointer
+   * @param {{ clientX: number, clientY: number }} point - The pointer coordinates
+   * @returns {number} The value under the pointer, rounded to the nearest step
    */
-  #updateValueFromPosition(clientX) {
+  #getValueFromPosition(point) {
     const rect = this.getBoundingClientRect();
-    const percentage = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    let fraction;
+
+    if (this.orientation === "vertical") {
+      fraction = (rect.bottom - point.clientY) / rect.height;
+    } else if (this.#isRtl()) {
+      fraction = (rect.right - point.clientX) / rect.width;
+    } else {
+      fraction = (point.clientX - rect.left) / rect.width;
+    }
+    const percentage = Math.max(0, Math.min(1, fraction));
+
+    // Map the position to a value through the scale
+    const rawValue = this.#getScale().toValue(percentage, this.#min, this.#max);
+
+    // Stops are snapped to when the value is constrained
+    if (this.#getStops().length > 0) {
+      return rawValue;
+    }
+
+    return this.#roundToStep(rawValue);
+  }
+
+  /**
+   * Rounds to the nearest step counted from min, in value space whatever the scale
+   * @param {number} value
+   * @returns {number}
+   */
+  #roundToStep(value) {
+    const steps = Math.round((value - this.#min) / this.#step);
+    return this.#roundToPrecision(this.#min + steps * this.#step);
+  }
+
+  /**
+   * Removes floating-point drift such as 0.1 + 0.2 = 0.30000000000000004
+   * by rounding to the decimals of step and min
+   * @param {number} value
+   * @returns {number}
+   */
+  #roundToPrecision(value) {
+    return roundToDecimals(
+      value,
+      Math.max(getDecimals(this.#step), getDecimals(this.#min))
+    );
+  }
+
+  /**
+   * @returns {SliderScale} The custom scale, or the one named by the scale attribute
+   */
+  #getScale() {
+    if (this.#customScale) return this.#customScale;
 
-    // Calculate the value based on percentage, min, max, and step
-    let rawValue = this.#min + percentage * (this.#max - this.#min);
+    // Logarithms of zero and negative values are undefined
+    if (this.getAttribute("scale") === "log" && this.#min > 0) {
+      return LOG_SCALE;
+    }
+    return LINEAR_SCALE;
+  }
 
-    // Round to the nearest step
-    const steps = Math.round((rawValue - this.#min) / this.#step);
-    const steppedValue = this.#min + steps * this.#step;
+  /**
+   * @param {number} value - The value under the pointer
+   * @returns {number} The index of the thumb closest to the value
+   */
+  #getClosestThumb(value) {
+    if (!this.range) return 0;
+
+    const [start, end] = this.#values;
+    const startDistance = Math.abs(value - start);
+    const endDistance = Math.abs(value - end);
+
+    // Stacked thumbs are pulled apart in the direction of the pointer
+    if (startDistance === endDistance) {
+      return value < start ? 0 : 1;
+    }
+    return startDistance < endDistance ? 0 : 1;
+  }
 
-    // Ensure value is within min/max range
-    this.#value = Math.max(this.#min, Math.min(this.#max, steppedValue));
+  /**
+   * Constrains the value of a thumb and dispatches an internal change event if it changed
+   * @param {number} index - The index of the thumb
+   * @param {number} value - The requested value
+   */
+  #commitValue(index, value) {
+    const newValue = this.#constrain(value, index);
+    if (newValue === this.#values[index]) return;
 
-    // Update attributes and position
-    this.setAttribute("value", String(this.#value));
-    this.setAttribute("aria-valuenow", String(this.#value));
+    this.#values[index] = newValue;
+    this.#reflectValues();
     this.#updatePosition();
+    this.#dispatchChange();
+  }
 
-    // Dispatch internal change event
+  /**
+   * Dispatches an internal change event with the current value
+   */
+  #dispatchChange() {
     this.dispatchEvent(
       new CustomEvent("_input-internal-change", {
         bubbles: true,
         composed: true,
-        detail: { value: this.#value.toString() },
+        detail: { value: this.#values.join(",") },
       })
     );
   }
 
+  /**
+   * Keeps a value within min and max, and in range mode stops the thumbs
+   * from getting closer than min-distance or crossing
+   * @param {number} value - The value to constrain
+   * @param {number} index - The index of the thumb the value is for
+   * @returns {number}
+   */
+  #constrain(value, index) {
+    let lower = this.#min;
+    let upper = this.#max;
+
+    if (this.range && index === 0) {
+      upper = Math.min(upper, this.#values[1] - this.#getMinDistance());
+    } else if (this.range) {
+      lower = Math.max(lower, this.#values[0] + this.#getMinDistance());
+    }
+    return this.#constrainTo(value, lower, upper);
+  }
+
+  /**
+   * A gap wider than the slider would push the thumbs past min and max, or swap them
+   * @returns {number} The min-distance, kept between 0 and max - min
+   */
+  #getMinDistance() {
+    return Math.max(0, Math.min(this.#minDistance, this.#max - this.#min));
+  }
+
+  /**
+   * Keeps a value within bounds, snapped to the nearest stop of the list or else to a step
+   * @param {number} value - The value to constrain
+   * @param {number} lower - The lowest allowed value
+   * @param {number} upper - The highest allowed value
+   * @returns {number}
+   */
+  #constrainTo(value, lower, upper) {
+    const clamped = Math.max(lower, Math.min(upper, value));
+
+    // A list restricts the value to its stops
+    const stops = this.#getStops().filter(
+      (stop) => stop.value >= lower && stop.value <= upper
+    );
+    if (stops.length > 0) {
+      return this.#getNearestStop(stops, clamped).value;
+    }
+
+    // The bounds win over the step when they are not on a step themselves
+    return this.#roundToPrecision(
+      Math.max(lower, Math.min(upper, this.#roundToStep(clamped)))
+    );
+  }
+
+  /**
+   * @returns {HTMLDataListElement | null} The datalist referenced by the list attribute
+   */
+  #getList() {
+    const id = this.getAttribute("list");
+    const root = /** @type {Document | ShadowRoot} */ (this.getRootNode());
+    const datalist = id ? root.getElementById?.(id) : null;
+    return datalist instanceof HTMLDataListElement ? datalist : null;
+  }
+
+  /**
+   * Watches the options of the datalist, so stops added or removed later are used
+   */
+  #observeList() {
+    this.#listObserver.disconnect();
+
+    const datalist = this.#getList();
+    if (datalist) {
+      this.#listObserver.observe(datalist, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["value", "label"],
+      });
+    }
+  }
+
+  /**
+   * Snaps the values to the current stops, and renders them as ticks
+   * InputRoot is notified when a value moved to another stop
+   */
+  #handleListChange() {
+    const previousValue = this.#values.join(",");
+    this.#values = this.#parseValues();
+    this.#updateTicks();
+
+    if (this.#values.join(",") === previousValue) {
+      this.#updateAriaValues();
+      return;
+    }
+
+    this.#reflectValues();
+    this.#updatePosition();
+    this.#dispatchChange();
+  }
+
+  /**
+   * Reads the stops from the datalist referenced by the list attribute, like a native range input
+   * @returns {{ value: number, label: string | null }[]} The stops within min and max in ascending order
+   */
+  #getStops() {
+    const datalist = this.#getList();
+    if (!datalist) return [];
+
+    return [...datalist.options]
+      .map((option) => ({
+        value: Number(option.value),
+        label: option.label || null,
+      }))
+      .filter(
+        (stop) =>
+          Number.isFinite(stop.value) &&
+          stop.value >= this.#min &&
+          stop.value <= this.#max
+      )
+      .sort((a, b) => a.value - b.value);
+  }
+
+  /**
+   * @param {{ value: number, label: string | null }[]} stops - Stops in ascending order
+   * @param {number} value - The value to snap
+   * @returns {{ value: number, label: string | null }}
+   */
+  #getNearestStop(stops, value) {
+    return stops.reduce((nearest, stop) =>
+      Math.abs(stop.value - value) < Math.abs(nearest.value - value) ? stop : nearest
+    );
+  }
+
+  /**
+   * @param {number} value
+   * @returns {number} The position of the value along the track in percent
+   */
+  #toPercentage(value) {
+    return this.#getScale().toPosition(value, this.#min, this.#max) * 100;
+  }
+
+  /**
+   * Renders tick marks on the track: at the values of the ticks attribute,
+   * else at the stops of the list, else at every step when ticks is set without a value
+   */
+  #updateTicks() {
+    if (!this.#isConnected || typeof this.#trackElement?.setTicks !== "function") {
+      return;
+    }
+
+    const stops = this.#getStops();
+    const ticksAttribute = this.getAttribute("ticks");
+    let points = [];
+
+    if (ticksAttribute) {
+      points = ticksAttribute
+        .split(",")
+        .map((value) => Number(value))
+        .filter((value) => Number.isFinite(value))
+        .map((value) => ({
+          value,
+          label: stops.find((stop) => stop.value === value)?.label ?? null,
+        }));
+    } else if (stops.length > 0) {
+      points = stops;
+    } else if (ticksAttribute !== null) {
+      const count = Math.floor((this.#max - this.#min) / this.#step);
+      if (count <= MAX_STEP_TICKS) {
+        points = Array.from({ length: count + 1 }, (_, index) => ({
+          value: this.#min + index * this.#step,
+          label: null,
+        }));
+      }
+    }
+
+    const showLabels = this.hasAttribute("tick-labels");
+    this.#trackElement.setTicks(
+      points
+        .filter((point) => point.value >= this.#min && point.value <= this.#max)
+        .map((point) => ({
+          position: this.#toPercentage(point.value),
+          label: showLabels
+            ? point.label ?? this.#formatter?.(point.value) ?? String(point.value)
+            : null,
+        }))
+    );
+  }
+
+  /**
+   * @param {number} value
+   * @returns {string | null} The label of the stop at the value, else the formatted value,
+   * announced instead of the number; null when there is neither
+   */
+  #getValueText(value) {
+    const label = this.#getStops().find((stop) => stop.value === value)?.label;
+    return label ?? this.#formatter?.(value) ?? null;
+  }
+
+  /**
+   * Reads the values from the value attribute, or from value-start and value-end in range mode
+   * @returns {number[]}
+   */
+  #parseValues() {
+    const value = this.getAttribute("value");
+    // Missing and unparsable values, like a range value in single mode, fall back to the default
+    const toNumber = (text, fallback) =>
+      text && Number.isFinite(Number(text)) ? Number(text) : fallback;
+
+    if (!this.range) {
+      return [this.#constrainTo(toNumber(value, this.#min), this.#min, this.#max)];
+    }
+
+    const [start, end] = value?.includes(",")
+      ? value.split(",")
+      : [this.getAttribute("value-start"), this.getAttribute("value-end")];
+    const minDistance = this.#getMinDistance();
+    const endValue = this.#constrainTo(toNumber(end, this.#max), this.#min + minDistance, this.#max);
+    const startValue = this.#constrainTo(toNumber(start, this.#min), this.#min, endValue - minDistance);
+    return [startValue, endValue];
+  }
+
+  /**
+   * Writes the current values back to the value attributes and ARIA state
+   */
+  #reflectValues() {
+    this.setAttribute("value", this.#values.join(","));
+    if (this.range) {
+      this.setAttribute("value-start", String(this.#values[0]));
+      this.setAttribute("value-end", String(this.#values[1]));
+    }
+    this.#updateAriaValues();
+  }
+
+  /**
+   * Finds one thumb per value, creating missing thumbs and hiding extra ones
+   */
+  #updateThumbs() {
+    const count = this.range ? 2 : 1;
+    const thumbs = [...this.querySelectorAll("input-slider-thumb")];
+
+    while (thumbs.length < count) {
+      const thumb = document.createElement("input-slider-thumb");
+      this.appendChild(thumb);
+      thumbs.push(thumb);
+    }
+
+    thumbs.forEach((thumb, index) => {
+      thumb.hidden = index >= count;
+    });
+    this.#thumbElements = thumbs.slice(0, count);
+  }
+
+  /**
+   * Detects the text direction, which may come from a dir attribute or the direction property
+   * @returns {boolean}
+   */
+  #isRtl() {
+    return getComputedStyle(this).direction === "rtl";
+  }
+
+  /**
+   * The slider itself is the focusable slider, or in range mode a group of two thumb sliders
+   */
+  #updateAccessibility() {
+    const isDisabled = this.hasAttribute("disabled");
+    const orientation = this.orientation;
+
+    if (this.range) {
+      this.setAttribute("role", "group");
+      this.removeAttribute("tabindex");
+      this.removeAttribute("aria-valuemin");
+      this.removeAttribute("aria-valuemax");
+      this.removeAttribute("aria-valuenow");
+      this.removeAttribute("aria-orientation");
+      this.removeAttribute("aria-valuetext");
+
+      this.#thumbElements.forEach((thumb, index) => {
+        thumb.setAttribute("role", "slider");
+        thumb.setAttribute("aria-orientation", orientation);
+        thumb.setAttribute("tabindex", isDisabled ? "-1" : "0");
+        thumb.setAttribute("aria-disabled", String(isDisabled));
+        if (!thumb.hasAttribute("aria-label")) {
+          thumb.setAttribute("aria-label", index === 0 ? "Minimum" : "Maximum");
+        }
+      });
+    } else {
+      this.setAttribute("role", "slider");
+      this.setAttribute("aria-orientation", orientation);
+
+      // Make component focusable
+      if (!this.hasAttribute("tabindex")) {
+        this.setAttribute("tabindex", "0");
+      }
+
+      this.querySelectorAll("input-slider-thumb").forEach((thumb) => {
+        thumb.setAttribute("role", "presentation");
+        thumb.removeAttribute("tabindex");
+        thumb.removeAttribute("aria-disabled");
+        thumb.removeAttribute("aria-orientation");
+        thumb.removeAttribute("aria-valuetext");
+        thumb.removeAttribute("aria-valuemin");
+        thumb.removeAttribute("aria-valuemax");
+        thumb.removeAttribute("aria-valuenow");
+      });
+    }
+
+    this.#updateAriaValues();
+  }
+
+  /**
+   * Each thumb of a range slider is bounded by the value of the other one
+   */
+  #updateAriaValues() {
+    if (!this.range) {
+      this.setAttribute("aria-valuemin", String(this.#min));
+      this.setAttribute("aria-valuemax", String(this.#max));
+      this.setAttribute("aria-valuenow", String(this.#values[0]));
+      this.#setValueText(this, this.#values[0]);
+      this.#updateValueDisplay();
+      return;
+    }
+
+    const [start, end] = this.#values;
+    const [startThumb, endThumb] = this.#thumbElements;
+    startThumb?.setAttribute("aria-valuemin", String(this.#min));
+    startThumb?.setAttribute("aria-valuemax", String(end));
+    startThumb?.setAttribute("aria-valuenow", String(start));
+    endThumb?.setAttribute("aria-valuemin", String(start));
+    endThumb?.setAttribute("aria-valuemax", String(this.#max));
+    endThumb?.setAttribute("aria-valuenow", String(end));
+    if (startThumb) this.#setValueText(startThumb, start);
+    if (endThumb) this.#setValueText(endThumb, end);
+    this.#updateValueDisplay();
+  }
+
+  /**
+   * Shows the value text in the thumb tooltips and in the element referenced by the output attribute
+   */
+  #updateValueDisplay() {
+    const texts = this.#values.map(
+      (value) => this.#getValueText(value) ?? String(value)
+    );
+
+    this.#thumbElements.forEach((thumb, index) => {
+      thumb.dataset.valueText = texts[index] ?? "";
+    });
+
+    const id = this.getAttribute("output");
+    const root = /** @type {Document | ShadowRoot} */ (this.getRootNode());
+    const output = id ? root.getElementById?.(id) : null;
+    if (output) {
+      output.textContent = texts.join(" – ");
+    }
+  }
+
+  /**
+   * @param {HTMLElement} element - The element with the slider role
+   * @param {number} value - The value it announces
+   */
+  #setValueText(element, value) {
+    const text = this.#getValueText(value);
+    if (text) {
+      element.setAttribute("aria-valuetext", text);
+    } else {
+      element.removeAttribute("aria-valuetext");
+    }
+  }
+
   /**
    * Handle focus event
    * @param {FocusEvent} event
    */
   #handleFocus(event) {
+    // Focus moving between the thumbs stays inside the slider
+    if (this.contains(/** @type {Node} */ (event.relatedTarget))) return;
+
     if (!this.hasAttribute("disabled")) {
       this.dispatchEvent(
         new CustomEvent("_input-internal-focus", {
@@ -378,6 +1095,8 @@ export class InputSlider extends HTMLElement {
    * @param {FocusEvent} event
    */
   #handleBlur(event) {
+    if (this.contains(/** @type {Node} */ (event.relatedTarget))) return;
+
     this.dispatchEvent(
       new CustomEvent("_input-internal-blur", {
         bubbles: true,
@@ -0,0 +1,12 @@
+import { InputCheckbox } from "./input-checkbox.js";
+
+/**
+ * InputSwitch - Component providing an on/off switch interface
+ * Behaves like InputCheckbox without the indeterminate state, and is announced as a switch
+ */
+export class InputSwitch extends InputCheckbox {
+  /** @type {"checkbox" | "switch"} */
+  static role = "switch";
+}
+
+customElements.define("input-switch", InputSwitch);
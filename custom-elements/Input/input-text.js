@@ -1,12 +1,110 @@
 /**
  * @typedef {import('./types.js').InputTextObservedAttributes} InputTextObservedAttributes
+ * @typedef {import('./types.js').InterfaceValidity} InterfaceValidity
+ * @typedef {import('../../dom-utility/mask.js').MaskToken} MaskToken
+ * @typedef {import('../../dom-utility/mask.js').MaskResult} MaskResult
+ * @typedef {import('../../dom-utility/mask.js').MaskSlot} MaskSlot
  */
 
+import {
+  getDecimals,
+  getNumberSeparators,
+  parseLocaleNumber,
+  roundToDecimals,
+} from '../../dom-utility/number.js';
+import { DEFAULT_MASK_TOKENS, conformToMask, parseMask } from '../../dom-utility/mask.js';
+
+let idCounter = 0;
+
+// Undo steps kept per input
+const HISTORY_LIMIT = 100;
+
+// Typing within this many milliseconds of the last character is undone in one step
+const HISTORY_MERGE_DELAY = 1000;
+
+// Shown for each character of a hidden password
+const PASSWORD_BULLET = '•';
+
+// Same as the valid e-mail address of the HTML standard
+const EMAIL_PATTERN =
+  /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+/**
+ * Hints for virtual keyboards and autofill per type
+ * @type {Record<string, { inputmode?: string, autocomplete?: string, enterkeyhint?: string, autocapitalize?: string }>}
+ */
+const TYPE_HINTS = {
+  text: { enterkeyhint: 'go' },
+  number: { inputmode: 'decimal', enterkeyhint: 'go' },
+  password: { autocomplete: 'current-password', enterkeyhint: 'go', autocapitalize: 'none' },
+  email: { inputmode: 'email', autocomplete: 'email', enterkeyhint: 'go', autocapitalize: 'none' },
+  url: { inputmode: 'url', autocomplete: 'url', enterkeyhint: 'go', autocapitalize: 'none' },
+  tel: { inputmode: 'tel', autocomplete: 'tel', enterkeyhint: 'go' },
+  search: { inputmode: 'search', autocomplete: 'off', enterkeyhint: 'search' },
+};
+
+/**
+ * Reads the text of editable content as the user sees it
+ * Line breaks that contenteditable inserts as <br> and <div> elements become newlines
+ * @param {Node} node - The element or fragment to read
+ * @returns {string}
+ */
+function getPlainText(node) {
+  let text = '';
+
+  node.childNodes.forEach(child => {
+    if (child instanceof Text) {
+      text += child.data;
+    } else if (child.nodeName === 'BR') {
+      // A trailing <br> only keeps an empty line open
+      if (child.nextSibling) {
+        text += '\n';
+      }
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      const isBlock = child.nodeName === 'DIV' || child.nodeName === 'P';
+      if (isBlock && text && !text.endsWith('\n')) {
+        text += '\n';
+      }
+      text += getPlainText(child);
+    }
+  });
+
+  return text;
+}
+
 /**
  * InputText - Component providing a text input interface
  * Communicates with InputRoot through internal events
+ * With type="number" it becomes a spinbutton accepting locale-formatted numbers
+ * With a mask like "(000) 000-0000" the literals of the mask are inserted while typing
+ * With multiline it keeps line breaks and grows with its content, like a textarea
  */
 export class InputText extends HTMLElement {
+  #spinButtons = null;
+  #isDirty = false;
+  /** @type {MaskSlot[] | null} */
+  #maskSlots = null;
+  /** @type {Record<string, MaskToken>} */
+  #maskTokens = DEFAULT_MASK_TOKENS;
+  #counter = null;
+  #isComposing = false;
+  /** @type {{ text: string, caret: number }[]} */
+  #history = [];
+  #historyIndex = -1;
+  #lastHistoryType = '';
+  #lastHistoryTime = 0;
+  // The value of a password, kept out of the value attribute like in native password inputs
+  #privateValue = null;
+  // The text of a hidden password, shown as bullets
+  #secret = '';
+  // Where a composition over the bullets of a hidden password started
+  /** @type {{ start: number, end: number } | null} */
+  #secretComposition = null;
+  #revealButton = null;
+  #clearButton = null;
+  /** @type {Map<string, string>} */
+  #appliedHints = new Map();
+
   /**
    * Attributes observed by this component 
    * Combines InputText specific attributes and inherited attributes from InputRoot
@@ -14,9 +112,26 @@ export class InputText extends HTMLElement {
    */
   static get observedAttributes() {
     // InputText specific attributes
-    const textAttributes = ['placeholder', 'maxlength', 'minlength', 'pattern'];
+    const textAttributes = [
+      'placeholder',
+      'maxlength',
+      'minlength',
+      'pattern',
+      'min',
+      'max',
+      'step',
+      'spin-buttons',
+      'mask',
+      'mask-value',
+      'multiline',
+      'rows',
+      'max-rows',
+      'counter',
+      'multiple',
+      'revealed',
+    ];
     // Inherited attributes from InputRoot that affect this component
-    const inheritedAttributes = ['value', 'disabled', 'readonly', 'required'];
+    const inheritedAttributes = ['value', 'disabled', 'readonly', 'required', 'type'];
     
     return [...textAttributes, ...inheritedAttributes];
   }
@@ -28,7 +143,10 @@ export class InputText extends HTMLElement {
     this.spellcheck = false;
     
     // Set up event listeners directly on the element
+    this.addEventListener('beforeinput', this.#handleBeforeInput.bind(this));
     this.addEventListener('input', this.#handleInput.bind(this));
+    this.addEventListener('compositionstart', this.#handleCompositionStart.bind(this));
+    this.addEventListener('compositionend', this.#handleCompositionEnd.bind(this));
     this.addEventListener('focus', this.#handleFocus.bind(this));
     this.addEventListener('blur', this.#handleBlur.bind(this));
     this.addEventListener('keydown', this.#handleKeyDown.bind(this));
@@ -37,15 +155,32 @@ export class InputText extends HTMLElement {
   connectedCallback() {
     // Set initial state
     this.#updateState();
+    this.#resetHistory();
     
     // Set accessibility attributes
-    this.setAttribute('role', 'textbox');
-    this.setAttribute('aria-multiline', 'false');
+    this.#updateRole();
     
     // Make component focusable
     if (!this.hasAttribute('tabindex')) {
       this.setAttribute('tabindex', '0');
     }
+
+    this.#updateSpinButtons();
+    this.#updateTypeButtons();
+    this.#updateRows();
+    this.#updateCounter();
+  }
+
+  disconnectedCallback() {
+    // The spin buttons and counter live next to the element, so they leave with it
+    this.#spinButtons?.remove();
+    this.#spinButtons = null;
+    this.#counter?.remove();
+    this.#counter = null;
+    this.#revealButton?.remove();
+    this.#revealButton = null;
+    this.#clearButton?.remove();
+    this.#clearButton = null;
   }
 
   /**
@@ -58,11 +193,14 @@ export class InputText extends HTMLElement {
 
     switch (name) {
       case 'value':
+        // The value attribute of a password is only its default value
+        if (this.#isPassword() && this.#privateValue !== null) break;
         // Only update the text content if it's different from the current value
         // to prevent loops with the input event
-        if (this.textContent !== newValue) {
-          this.textContent = newValue || '';
-        }
+        this.#renderValue(newValue || '');
+        this.#updateNumericAria();
+        this.#updateCounter();
+        this.#updateClearButton();
         break;
       case 'placeholder':
         if (newValue) {
@@ -75,13 +213,14 @@ export class InputText extends HTMLElement {
         if (newValue) {
           this.dataset.maxlength = newValue;
           // If current content exceeds maxlength, truncate it
-          if (this.textContent.length > parseInt(newValue, 10)) {
-            this.textContent = this.textContent.substring(0, parseInt(newValue, 10));
-            this.#setCursorAtEnd();
+          if (this.#getText().length > parseInt(newValue, 10)) {
+            this.#truncateText(parseInt(newValue, 10));
           }
         } else {
           delete this.dataset.maxlength;
         }
+        this.#updateCounter();
+        this.#notifyConstraintChange();
         break;
       case 'minlength':
         if (newValue) {
@@ -89,6 +228,7 @@ export class InputText extends HTMLElement {
         } else {
           delete this.dataset.minlength;
         }
+        this.#notifyConstraintChange();
         break;
       case 'pattern':
         if (newValue) {
@@ -96,6 +236,49 @@ export class InputText extends HTMLElement {
         } else {
           delete this.dataset.pattern;
         }
+        this.#notifyConstraintChange();
+        break;
+      case 'type':
+        this.#updatePrivateValue(oldValue === 'password');
+        if (this.isConnected) {
+          this.#updateState();
+          this.#updateRole();
+          this.#updateSpinButtons();
+          this.#updateTypeButtons();
+          this.#notifyConstraintChange();
+        }
+        break;
+      case 'multiple':
+        this.#notifyConstraintChange();
+        break;
+      case 'revealed':
+        this.#updateReveal();
+        break;
+      case 'min':
+      case 'max':
+      case 'step':
+        this.#updateNumericAria();
+        this.#notifyConstraintChange();
+        break;
+      case 'spin-buttons':
+        this.#updateSpinButtons();
+        break;
+      case 'mask':
+      case 'mask-value':
+        this.#updateMask();
+        break;
+      case 'multiline':
+        if (this.isConnected) {
+          this.#updateRole();
+          this.#renderValue(this.#getValue());
+        }
+        break;
+      case 'rows':
+      case 'max-rows':
+        this.#updateRows();
+        break;
+      case 'counter':
+        this.#updateCounter();
         break;
       case 'disabled':
       case 'readonly':
@@ -107,10 +290,16 @@ export class InputText extends HTMLElement {
 
   // Public getters and setters
   get value() {
-    return this.getAttribute('value') || '';
+    return this.#getValue();
   }
 
   set value(newValue) {
+    if (this.#isPassword()) {
+      this.#privateValue = String(newValue);
+      this.#renderValue(this.#privateValue);
+      this.#updateCounter();
+      return;
+    }
     this.setAttribute('value', newValue);
   }
 
@@ -122,6 +311,170 @@ export class InputText extends HTMLElement {
     this.setAttribute('placeholder', newPlaceholder);
   }
 
+  /**
+   * Tokens of the mask on top of the defaults, like { H: { pattern: /[0-9a-f]/i } } for hex digits
+   * @returns {Record<string, MaskToken>}
+   */
+  get maskTokens() {
+    return this.#maskTokens;
+  }
+
+  set maskTokens(tokens) {
+    this.#maskTokens = { ...DEFAULT_MASK_TOKENS, ...tokens };
+    this.#updateMask();
+  }
+
+  /**
+   * Forgets that the user edited the text, so minlength and maxlength are not checked until the next edit
+   * InputRoot calls it when the form is reset
+   */
+  resetDirtyState() {
+    this.#isDirty = false;
+  }
+
+  /**
+   * Checks the typed text against the constraints of the interface
+   * InputRoot combines the result with its own constraints
+   * @returns {InterfaceValidity}
+   */
+  getValidityState() {
+    if (!this.#isNumeric()) {
+      return this.#getTextValidityState();
+    }
+
+    const number = parseLocaleNumber(this.#getText(), this.#getLocale());
+    if (number === null) {
+      return { flags: { badInput: true }, message: 'Please enter a number.' };
+    }
+    if (Number.isNaN(number)) {
+      return { flags: {}, message: '' };
+    }
+
+    const { min, max, step } = this.#getNumericConstraints();
+    if (min !== null && number < min) {
+      return {
+        flags: { rangeUnderflow: true },
+        message: `Value must be greater than or equal to ${this.#formatNumber(min)}.`,
+      };
+    }
+    if (max !== null && number > max) {
+      return {
+        flags: { rangeOverflow: true },
+        message: `Value must be less than or equal to ${this.#formatNumber(max)}.`,
+      };
+    }
+
+    if (step !== null) {
+      const base = min ?? 0;
+      const decimals = Math.max(getDecimals(step), getDecimals(base), getDecimals(number));
+      const steps = roundToDecimals((number - base) / step, decimals);
+      if (!Number.isInteger(steps)) {
+        const lower = roundToDecimals(base + Math.floor(steps) * step, decimals);
+        const upper = roundToDecimals(lower + step, decimals);
+        return {
+          flags: { stepMismatch: true },
+          message: `Please enter a valid value. The two nearest valid values are ${this.#formatNumber(lower)} and ${this.#formatNumber(upper)}.`,
+        };
+      }
+    }
+
+    return { flags: {}, message: '' };
+  }
+
+  /**
+   * Checks the text against minlength, maxlength and pattern
+   * Like native inputs, the length constraints only apply once the user has edited the text
+   * @returns {InterfaceValidity}
+   */
+  #getTextValidityState() {
+    const value = this.#getText();
+    if (!value) {
+      return { flags: {}, message: '' };
+    }
+
+    const typeMismatch = this.#getTypeMismatch(value);
+    if (typeMismatch) {
+      return { flags: { typeMismatch: true }, message: typeMismatch };
+    }
+
+    if (this.#isMasked() && !conformToMask(value, this.#maskSlots).isComplete) {
+      return {
+        flags: { patternMismatch: true },
+        message: `Please match the requested format: ${this.getAttribute('mask')}.`,
+      };
+    }
+
+    const minlength = parseInt(this.getAttribute('minlength'), 10);
+    if (this.#isDirty && minlength > 0 && value.length < minlength) {
+      return {
+        flags: { tooShort: true },
+        message: `Please lengthen this text to ${minlength} characters or more (you are currently using ${value.length} characters).`,
+      };
+    }
+
+    const maxlength = parseInt(this.getAttribute('maxlength'), 10);
+    if (this.#isDirty && maxlength >= 0 && value.length > maxlength) {
+      return {
+        flags: { tooLong: true },
+        message: `Please shorten this text to ${maxlength} characters or less (you are currently using ${value.length} characters).`,
+      };
+    }
+
+    const pattern = this.getAttribute('pattern');
+    if (pattern && !this.#matchesPattern(value, pattern)) {
+      const title = this.getAttribute('title');
+      return {
+        flags: { patternMismatch: true },
+        message: title ? `Please match the requested format: ${title}.` : 'Please match the requested format.',
+      };
+    }
+
+    return { flags: {}, message: '' };
+  }
+
+  /**
+   * Checks the format of e-mail addresses and URLs
+   * @param {string} value
+   * @returns {string} A message describing the mismatch, empty when the value fits the type
+   */
+  #getTypeMismatch(value) {
+    const type = this.getAttribute('type');
+
+    if (type === 'email') {
+      if (this.hasAttribute('multiple')) {
+        const isValid = value.split(',').every(address => EMAIL_PATTERN.test(address.trim()));
+        return isValid ? '' : 'Please enter a comma-separated list of email addresses.';
+      }
+      return EMAIL_PATTERN.test(value.trim()) ? '' : 'Please enter an email address.';
+    }
+
+    if (type === 'url') {
+      try {
+        new URL(value.trim());
+        return '';
+      } catch {
+        return 'Please enter a URL.';
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Matches the whole text against a pattern, like the pattern attribute of native inputs
+   * An invalid pattern is ignored
+   * @param {string} value
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  #matchesPattern(value, pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+    } catch {
+      return true;
+    }
+  }
+
   /**
    * Updates the element state based on attributes
    */
@@ -140,45 +493,199 @@ export class InputText extends HTMLElement {
     }
     
     // Set value
-    this.textContent = this.getAttribute('value') || '';
+    this.#renderValue(this.#getValue());
     
     // Update ARIA attributes
     this.setAttribute('aria-disabled', String(isDisabled));
     this.setAttribute('aria-readonly', String(isReadonly));
     this.setAttribute('aria-required', String(this.hasAttribute('required')));
+
+    this.#spinButtons?.querySelectorAll('button').forEach(button => {
+      button.disabled = isDisabled || isReadonly;
+    });
+    if (this.#clearButton) {
+      this.#clearButton.disabled = isDisabled || isReadonly;
+    }
+  }
+
+  /**
+   * A numeric input is a spinbutton, a search input a searchbox, anything else a textbox
+   */
+  #updateRole() {
+    if (this.#isNumeric()) {
+      this.setAttribute('role', 'spinbutton');
+      this.removeAttribute('aria-multiline');
+    } else {
+      const type = this.getAttribute('type');
+      this.setAttribute('role', type === 'search' ? 'searchbox' : 'textbox');
+      this.setAttribute('aria-multiline', String(this.#isMultiline()));
+    }
+    this.#updateNumericAria();
+    this.#updateTypeHints();
+  }
+
+  /**
+   * Sets the inputmode, autocomplete, enterkeyhint and autocapitalize hints of the type
+   * Hints set by the author are kept
+   */
+  #updateTypeHints() {
+    const hints = { ...(TYPE_HINTS[this.getAttribute('type')] ?? TYPE_HINTS.text) };
+    if (this.#isMultiline()) {
+      hints.enterkeyhint = 'enter';
+    }
+
+    ['inputmode', 'autocomplete', 'enterkeyhint', 'autocapitalize'].forEach(name => {
+      const current = this.getAttribute(name);
+      if (current !== null && current !== this.#appliedHints.get(name)) return;
+
+      if (hints[name]) {
+        this.setAttribute(name, hints[name]);
+        this.#appliedHints.set(name, hints[name]);
+      } else {
+        this.removeAttribute(name);
+        this.#appliedHints.delete(name);
+      }
+    });
+  }
+
+  #updateNumericAria() {
+    const attributes = ['aria-valuemin', 'aria-valuemax', 'aria-valuenow', 'aria-valuetext'];
+    if (!this.#isNumeric()) {
+      attributes.forEach(attribute => this.removeAttribute(attribute));
+      return;
+    }
+
+    const { min, max } = this.#getNumericConstraints();
+    const value = this.#getValue();
+    const entries = {
+      'aria-valuemin': min,
+      'aria-valuemax': max,
+      'aria-valuenow': value ? Number(value) : null,
+      'aria-valuetext': value ? this.#formatNumber(Number(value)) : null,
+    };
+
+    Object.entries(entries).forEach(([attribute, entry]) => {
+      if (entry === null) {
+        this.removeAttribute(attribute);
+      } else {
+        this.setAttribute(attribute, String(entry));
+      }
+    });
   }
   
   /**
    * Handles input events and dispatches internal change events
-   * @param {Event} event - The input event
+   * @param {InputEvent} event - The input event
    */
   #handleInput(event) {
-    let value = this.textContent;
+    // Wait for the composition to end, so half-composed characters are not masked or truncated
+    if (this.#isComposing || event.isComposing) return;
+
+    this.#syncSecret();
+    this.#normalizeText();
+    let value = this.#getText();
+    this.#isDirty = true;
     
+    // The value of a numeric input is the parsed number, or empty while the text is not one
+    if (this.#isNumeric()) {
+      const number = parseLocaleNumber(value, this.#getLocale());
+      value = number === null || Number.isNaN(number) ? '' : String(number);
+    }
+
+    // A masked input formats the text, which also limits its length
+    if (this.#isMasked()) {
+      value = this.#applyMask();
+    }
+
     // Implement maxlength constraint
     const maxlength = this.getAttribute('maxlength');
-    if (maxlength && value.length > parseInt(maxlength, 10)) {
+    if (!this.#isNumeric() && !this.#isMasked() && maxlength && value.length > parseInt(maxlength, 10)) {
       // Truncate the content if it exceeds maxlength
       value = value.substring(0, parseInt(maxlength, 10));
-      this.textContent = value;
-      // Position cursor at the end
-      this.#setCursorAtEnd();
+      this.#truncateText(parseInt(maxlength, 10));
+    }
+
+    if (!event.inputType?.startsWith('history')) {
+      this.#recordHistory(event.inputType);
     }
     
     // Don't update if the value is the same to prevent loops
-    if (value === this.getAttribute('value')) {
+    if (value === this.#getValue()) {
+      // Text that is not a number leaves the value empty but changes validity
+      this.#notifyConstraintChange();
       return;
     }
     
-    // Update the value attribute
-    this.setAttribute('value', value);
-    
-    // Dispatch internal change event to be handled by InputRoot
-    this.dispatchEvent(new CustomEvent('_input-internal-change', {
-      bubbles: true,
-      composed: true,
-      detail: { value }
-    }));
+    this.#commitValue(value);
+  }
+
+  /**
+   * Keeps the content plain text, since contenteditable would insert markup for pastes, drops and line breaks
+   * Undo and redo use the history of the component, as rewriting the text resets the one of the browser
+   * @param {InputEvent} event - The beforeinput event
+   */
+  #handleBeforeInput(event) {
+    // Composition events cannot be cancelled, the text is handled once the composition ends
+    if (this.#isComposing || event.isComposing) return;
+
+    switch (event.inputType) {
+      case 'historyUndo':
+      case 'historyRedo':
+        event.preventDefault();
+        this.#applyHistory(event.inputType === 'historyUndo' ? -1 : 1);
+        return;
+      case 'insertParagraph':
+      case 'insertLineBreak':
+        event.preventDefault();
+        if (this.#isMultiline()) {
+          this.#insertText('\n', event.inputType);
+        }
+        return;
+      case 'insertFromPaste':
+      case 'insertFromDrop':
+      case 'insertFromYank':
+      case 'insertReplacementText':
+        event.preventDefault();
+        this.#insertText(
+          event.dataTransfer?.getData('text/plain') ?? event.data ?? '',
+          event.inputType,
+          event.getTargetRanges?.()[0]
+        );
+        return;
+      case 'insertText': {
+        // Virtual keyboards may not send key events, so maxlength is also checked here
+        const selection = window.getSelection();
+        if (this.#isAtMaxLength() && selection?.isCollapsed) {
+          event.preventDefault();
+        } else if (this.#isConcealed()) {
+          // The bullets do not tell which characters they stand for, so edit the characters instead
+          event.preventDefault();
+          this.#insertText(event.data ?? '', event.inputType, event.getTargetRanges?.()[0]);
+        }
+        return;
+      }
+    }
+
+    if (this.#isConcealed() && event.inputType.startsWith('delete')) {
+      event.preventDefault();
+      this.#deleteText(event.inputType, event.getTargetRanges?.()[0]);
+      return;
+    }
+
+    // Bold, italic and other formatting have no place in plain text, and a hidden password only takes the edits above
+    if (event.inputType.startsWith('format') || this.#isConcealed()) {
+      event.preventDefault();
+    }
+  }
+
+  #handleCompositionStart() {
+    this.#isComposing = true;
+    this.#secretComposition = this.#isConcealed() ? this.#getRangeOffsets(this.#getSelectionRange()) : null;
+  }
+
+  #handleCompositionEnd() {
+    this.#isComposing = false;
+    this.#handleInput(new InputEvent('input', { inputType: 'insertCompositionText' }));
   }
 
   /**
@@ -203,19 +710,11 @@ export class InputText extends HTMLElement {
    * @param {FocusEvent} event - The blur event
    */
   #handleBlur(event) {
-    // Validate the content against pattern
-    const pattern = this.getAttribute('pattern');
-    if (pattern) {
-      const regex = new RegExp(pattern);
-      const value = this.textContent;
-      if (value && !regex.test(value)) {
-        // If validation fails, add an invalid attribute
-        this.setAttribute('aria-invalid', 'true');
-      } else {
-        this.removeAttribute('aria-invalid');
-      }
+    // Pattern and other constraints are validated by InputRoot, which also sets aria-invalid
+    if (this.#isNumeric()) {
+      this.#clampNumber();
     }
-    
+
     this.dispatchEvent(new CustomEvent('_input-internal-blur', {
       bubbles: true,
       composed: true,
@@ -233,41 +732,778 @@ export class InputText extends HTMLElement {
       event.preventDefault();
       return;
     }
+
+    // Undo and redo shortcuts, handled here as not every browser sends beforeinput for them
+    const isShortcut = (event.ctrlKey || event.metaKey) && !event.altKey;
+    const key = event.key.toLowerCase();
+    if (isShortcut && (key === 'z' || key === 'y')) {
+      event.preventDefault();
+      this.#applyHistory(key === 'z' && !event.shiftKey ? -1 : 1);
+      return;
+    }
     
-    // Handle Enter key (prevent default line break and dispatch event)
+    // A multiline input breaks the line, as a plain newline rather than the markup contenteditable inserts
+    if (event.key === 'Enter' && this.#isMultiline() && !event.ctrlKey && !event.metaKey) {
+      event.preventDefault();
+      this.#insertText('\n', 'insertLineBreak');
+      return;
+    }
+
+    // Handle Enter key (prevent default line break and let InputRoot submit the form)
     if (event.key === 'Enter') {
       event.preventDefault();
-      // Dispatch a special event to simulate form submission
-      this.dispatchEvent(new KeyboardEvent('keydown', {
-        key: 'Enter',
+      this.dispatchEvent(new CustomEvent('_input-internal-submit', {
         bubbles: true,
-        composed: true
+        composed: true,
+        detail: { target: this }
       }));
       return;
     }
+
+    // Escape clears a search, like native search inputs
+    if (event.key === 'Escape' && this.getAttribute('type') === 'search' && this.#getText()) {
+      event.preventDefault();
+      this.#clearSearch();
+      return;
+    }
     
+    if (this.#isNumeric()) {
+      this.#handleNumericKeyDown(event);
+      return;
+    }
+
     // Check maxlength before allowing more input (except for delete/backspace/navigation keys)
-    const maxlength = this.getAttribute('maxlength');
-    if (maxlength && 
-        this.textContent.length >= parseInt(maxlength, 10) && 
+    if (this.#isAtMaxLength() &&
         !['Backspace', 'Delete', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key) &&
         !event.ctrlKey && 
         !event.metaKey) {
       event.preventDefault();
     }
   }
+
+  /**
+   * Steps the value with the arrow and page keys and rejects characters that cannot be part of a number
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  #handleNumericKeyDown(event) {
+    const steps = { ArrowUp: 1, ArrowDown: -1, PageUp: 10, PageDown: -10 }[event.key];
+    if (steps) {
+      event.preventDefault();
+      this.#stepBy(steps);
+      return;
+    }
+
+    const isPrintable =
+      event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey;
+    if (!isPrintable) return;
+
+    const { decimal, group } = getNumberSeparators(this.#getLocale());
+    const isAllowed =
+      /[\d+\-−]/.test(event.key) ||
+      event.key === decimal ||
+      event.key === group ||
+      (/\s/.test(group) && event.key === ' ');
+    if (!isAllowed) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Moves the value a number of steps, snapped to the step grid and clamped to min and max
+   * @param {number} steps - Number of steps, negative to decrease
+   */
+  #stepBy(steps) {
+    if (this.hasAttribute('disabled') || this.hasAttribute('readonly')) return;
+
+    const { min, max, step } = this.#getNumericConstraints();
+    const stepSize = step ?? 1;
+    const base = min ?? 0;
+    const number = parseLocaleNumber(this.#getText(), this.#getLocale());
+    const current = number === null || Number.isNaN(number) ? null : number;
+
+    let next;
+    if (current === null) {
+      // An empty input starts at the nearest allowed value to zero
+      next = Math.max(min ?? -Infinity, Math.min(max ?? Infinity, 0));
+    } else {
+      const grid = (current + steps * stepSize - base) / stepSize;
+      // Off-grid values move to the next grid line in the step direction
+      next = base + (steps > 0 ? Math.floor(grid) : Math.ceil(grid)) * stepSize;
+    }
+
+    next = Math.max(min ?? -Infinity, Math.min(max ?? Infinity, next));
+    next = roundToDecimals(next, Math.max(getDecimals(stepSize), getDecimals(base)));
+
+    this.#renderNumber(String(next), true);
+    this.#recordHistory('stepValue');
+    this.#commitValue(String(next));
+  }
+
+  /**
+   * Clamps the typed number to min and max and shows it in the locale format
+   */
+  #clampNumber() {
+    const number = parseLocaleNumber(this.#getText(), this.#getLocale());
+    if (number === null || Number.isNaN(number)) return;
+
+    const { min, max } = this.#getNumericConstraints();
+    const clamped = String(Math.max(min ?? -Infinity, Math.min(max ?? Infinity, number)));
+
+    this.#renderNumber(clamped, true);
+    if (clamped !== this.#getValue()) {
+      this.#commitValue(clamped);
+    }
+  }
+
+  /**
+   * Shows a number in the locale format
+   * Text being typed is left alone while it already stands for the value
+   * @param {string} value - The number as a plain string, or empty
+   * @param {boolean} [force] - Whether to reformat text that stands for the value
+   */
+  #renderNumber(value, force = false) {
+    const number = parseLocaleNumber(this.#getText(), this.#getLocale());
+    const current = number === null || Number.isNaN(number) ? '' : String(number);
+    if (!force && current === value && (value !== '' || number !== null)) return;
+
+    // Keep the caret as far from the end, so it stays next to the same digit when grouping changes
+    const caret = this.#getCaretOffset();
+    const fromEnd = caret === null ? 0 : this.#getText().length - caret;
+
+    this.#setText(value === '' ? '' : this.#formatNumber(Number(value)));
+    this.#setCaretOffset(Math.max(0, this.#getText().length - fromEnd));
+  }
+
+  /**
+   * Shows a value, formatted by the type or mask of the input
+   * @param {string} value
+   */
+  #renderValue(value) {
+    const previousText = this.#getText();
+
+    if (this.#isNumeric()) {
+      this.#renderNumber(value);
+    } else {
+      const text = this.#isMasked() ? conformToMask(value, this.#maskSlots).formatted : value;
+      if (previousText !== text) {
+        const caret = this.#getCaretOffset();
+        this.#setText(text);
+        this.#setCaretOffset(Math.min(caret ?? text.length, text.length));
+      }
+    }
+
+    // Like native inputs, setting the value from code starts a new undo history
+    if (this.#getText() !== previousText) {
+      this.#resetHistory();
+    }
+  }
+
+  /**
+   * Parses the mask attribute and formats the current text with it
+   */
+  #updateMask() {
+    const mask = this.getAttribute('mask');
+    this.#maskSlots = mask ? parseMask(mask, this.#maskTokens) : null;
+
+    if (!this.isConnected || this.#isNumeric()) return;
+
+    if (this.#isMasked()) {
+      const result = conformToMask(this.#getText(), this.#maskSlots);
+      this.#setText(result.formatted);
+      const value = this.#getMaskedValue(result);
+      if (value !== this.#getValue()) {
+        this.#commitValue(value);
+        return;
+      }
+    }
+    this.#notifyConstraintChange();
+  }
+
+  /**
+   * Formats the typed text with the mask, keeping the caret after the same typed character
+   * @returns {string} The raw or formatted value, depending on the mask-value attribute
+   */
+  #applyMask() {
+    const text = this.#getText();
+    const result = conformToMask(text, this.#maskSlots);
+
+    if (text !== result.formatted) {
+      const caret = this.#getCaretOffset();
+      const rawBefore = caret === null
+        ? result.raw.length
+        : conformToMask(text.slice(0, caret), this.#maskSlots).raw.length;
+
+      this.#setText(result.formatted);
+      this.#setCaretOffset(rawBefore === 0 ? 0 : result.rawEnds[rawBefore - 1]);
+    }
+
+    return this.#getMaskedValue(result);
+  }
+
+  /**
+   * @param {MaskResult} result
+   * @returns {string} The value submitted for a masked input, the formatted text unless mask-value="raw"
+   */
+  #getMaskedValue(result) {
+    return this.getAttribute('mask-value') === 'raw' ? result.raw : result.formatted;
+  }
+
+  /**
+   * @returns {boolean} Whether a mask formats the text
+   */
+  #isMasked() {
+    return this.#maskSlots !== null && !this.#isNumeric();
+  }
+
+  /**
+   * Reflects the value and dispatches an internal change event to be handled by InputRoot
+   * @param {string} value
+   */
+  #commitValue(value) {
+    // Update the value attribute, or keep a password private
+    if (this.#isPassword()) {
+      this.#privateValue = value;
+      this.#updateCounter();
+    } else {
+      this.setAttribute('value', value);
+    }
+    this.#updateClearButton();
+
+    // Dispatch internal change event to be handled by InputRoot
+    this.dispatchEvent(new CustomEvent('_input-internal-change', {
+      bubbles: true,
+      composed: true,
+      detail: { value }
+    }));
+  }
+
+  /**
+   * Lets InputRoot check validity again after a constraint or the text changed
+   */
+  #notifyConstraintChange() {
+    if (!this.isConnected) return;
+
+    this.dispatchEvent(new CustomEvent('_input-internal-change', {
+      bubbles: true,
+      composed: true,
+      detail: { value: this.#getValue() }
+    }));
+  }
+
+  /**
+   * @returns {string} The current value, private for passwords
+   */
+  #getValue() {
+    if (this.#isPassword() && this.#privateValue !== null) {
+      return this.#privateValue;
+    }
+    return this.getAttribute('value') || '';
+  }
+
+  /**
+   * Moves the value between the value attribute and the private value when the type changes to or from password
+   * @param {boolean} wasPassword
+   */
+  #updatePrivateValue(wasPassword) {
+    if (this.#isPassword() && !wasPassword) {
+      this.#privateValue = this.getAttribute('value') || '';
+    } else if (!this.#isPassword() && wasPassword) {
+      const value = this.#privateValue ?? '';
+      this.#privateValue = null;
+      this.setAttribute('value', value);
+    }
+  }
+
+  /**
+   * Adds the reveal button of a password and the clear button of a search next to the input
+   */
+  #updateTypeButtons() {
+    const type = this.isConnected ? this.getAttribute('type') : null;
+
+    if (type === 'password' && !this.#revealButton) {
+      this.#revealButton = document.createElement('button');
+      this.#revealButton.type = 'button';
+      this.#revealButton.dataset.revealButton = '';
+      if (this.id) {
+        this.#revealButton.setAttribute('aria-controls', this.id);
+      }
+      // Keep focus in the text while clicking, the button stays reachable with the keyboard
+      this.#revealButton.addEventListener('pointerdown', event => event.preventDefault());
+      this.#revealButton.addEventListener('click', () => this.toggleAttribute('revealed'));
+      this.after(this.#revealButton);
+      this.#updateRevealButton();
+    } else if (type !== 'password' && this.#revealButton) {
+      this.#revealButton.remove();
+      this.#revealButton = null;
+    }
+
+    if (type === 'search' && !this.#clearButton) {
+      this.#clearButton = document.createElement('button');
+      this.#clearButton.type = 'button';
+      this.#clearButton.tabIndex = -1;
+      this.#clearButton.dataset.clearButton = '';
+      this.#clearButton.textContent = '✕';
+      this.#clearButton.setAttribute('aria-label', 'Clear search');
+      this.#clearButton.disabled = this.hasAttribute('disabled') || this.hasAttribute('readonly');
+      this.#clearButton.addEventListener('pointerdown', event => event.preventDefault());
+      this.#clearButton.addEventListener('click', () => this.#clearSearch());
+      this.after(this.#clearButton);
+      this.#updateClearButton();
+    } else if (type !== 'search' && this.#clearButton) {
+      this.#clearButton.remove();
+      this.#clearButton = null;
+    }
+  }
+
+  /**
+   * Shows or hides the characters of a password when the revealed attribute changes
+   */
+  #updateReveal() {
+    if (!this.#isPassword()) return;
+
+    // The text is still read in the previous mode
+    const text = this.hasAttribute('revealed') ? this.#secret : getPlainText(this);
+    this.#setText(text);
+    this.#updateRevealButton();
+  }
+
+  #updateRevealButton() {
+    if (!this.#revealButton) return;
+
+    const isRevealed = this.hasAttribute('revealed');
+    this.#revealButton.textContent = isRevealed ? 'Hide' : 'Show';
+    this.#revealButton.setAttribute('aria-label', isRevealed ? 'Hide password' : 'Show password');
+    this.#revealButton.setAttribute('aria-pressed', String(isRevealed));
+  }
+
+  #updateClearButton() {
+    if (this.#clearButton) {
+      this.#clearButton.hidden = this.#getText() === '';
+    }
+  }
+
+  /**
+   * Empties a search and lets InputRoot fire the search event
+   */
+  #clearSearch() {
+    if (this.hasAttribute('disabled') || this.hasAttribute('readonly')) return;
+
+    this.#setText('');
+    this.#handleInput(new InputEvent('input', { inputType: 'deleteContent' }));
+    this.dispatchEvent(new CustomEvent('_input-internal-search', {
+      bubbles: true,
+      composed: true,
+      detail: { target: this }
+    }));
+  }
+
+  /**
+   * Adds increment and decrement buttons next to a numeric input with the spin-buttons attribute
+   * They are hidden from assistive technology, which uses the arrow keys like with native spinbuttons
+   */
+  #updateSpinButtons() {
+    const isWanted = this.isConnected && this.#isNumeric() && this.hasAttribute('spin-buttons');
+
+    if (!isWanted) {
+      this.#spinButtons?.remove();
+      this.#spinButtons = null;
+      return;
+    }
+    if (this.#spinButtons) return;
+
+    this.#spinButtons = document.createElement('span');
+    this.#spinButtons.dataset.spinButtons = '';
+    this.#spinButtons.setAttribute('aria-hidden', 'true');
+
+    /** @type {[string, number][]} */
+    const buttons = [['▲', 1], ['▼', -1]];
+    buttons.forEach(([label, steps]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.tabIndex = -1;
+      button.textContent = label;
+      button.disabled = this.hasAttribute('disabled') || this.hasAttribute('readonly');
+      // Keep focus in the text while clicking
+      button.addEventListener('pointerdown', event => event.preventDefault());
+      button.addEventListener('click', () => this.#stepBy(steps));
+      this.#spinButtons.appendChild(button);
+    });
+
+    this.after(this.#spinButtons);
+  }
+
+  /**
+   * @returns {boolean} Whether the text has reached maxlength, so no more characters can be typed
+   */
+  #isAtMaxLength() {
+    const maxlength = this.getAttribute('maxlength');
+    return Boolean(maxlength) &&
+      !this.#isMasked() &&
+      this.#getText().length >= parseInt(maxlength, 10);
+  }
+
+  /**
+   * Replaces the selection with plain text and handles it like typed text
+   * Line breaks become spaces in single-line inputs, and text beyond maxlength is cut off like in native inputs
+   * @param {string} text - The text to insert
+   * @param {string} inputType - The kind of edit, used to group undo steps
+   * @param {StaticRange | Range} [targetRange] - Where to insert, the selection by default
+   */
+  #insertText(text, inputType, targetRange) {
+    const current = this.#getText();
+    const { start, end } = this.#getRangeOffsets(targetRange ?? this.#getSelectionRange());
+
+    let inserted = this.#isMultiline()
+      ? text.replace(/\r\n?/g, '\n')
+      : text.replace(/\s*[\r\n]+\s*/g, ' ');
+
+    const maxlength = parseInt(this.getAttribute('maxlength'), 10);
+    if (maxlength >= 0 && !this.#isMasked() && !this.#isNumeric()) {
+      inserted = inserted.slice(0, Math.max(0, maxlength - (current.length - (end - start))));
+    }
+    if (!inserted && start === end) return;
+
+    this.#setText(current.slice(0, start) + inserted + current.slice(end));
+    this.#setCaretOffset(start + inserted.length);
+    this.#handleInput(new InputEvent('input', { inputType }));
+  }
+
+  /**
+   * Deletes the target range, or else the selection, like the browser would for the kind of deletion
+   * A collapsed selection deletes a character, and deleting a word deletes up to the start or end
+   * like in native password inputs, which do not reveal where words end
+   * @param {string} inputType - The kind of deletion
+   * @param {StaticRange | Range} [targetRange] - What to delete, the selection by default
+   */
+  #deleteText(inputType, targetRange) {
+    const current = this.#getText();
+    let { start, end } = this.#getRangeOffsets(targetRange ?? this.#getSelectionRange());
+
+    if (start === end) {
+      if (inputType === 'deleteContentBackward') {
+        start = Math.max(0, start - 1);
+      } else if (inputType === 'deleteContentForward') {
+        end = Math.min(current.length, end + 1);
+      } else if (inputType.endsWith('Backward')) {
+        start = 0;
+      } else if (inputType.endsWith('Forward')) {
+        end = current.length;
+      }
+    }
+    if (start === end) return;
+
+    this.#setText(current.slice(0, start) + current.slice(end));
+    this.#setCaretOffset(start);
+    this.#handleInput(new InputEvent('input', { inputType }));
+  }
+
+  /**
+   * @returns {Range | null} The selection, when it is inside the element
+   */
+  #getSelectionRange() {
+    const selection = window.getSelection();
+    return selection?.rangeCount && this.contains(selection.anchorNode) ? selection.getRangeAt(0) : null;
+  }
+
+  /**
+   * @param {StaticRange | Range | null} range - A range inside the element
+   * @returns {{ start: number, end: number }} The positions of the range in the text, the end without a range
+   */
+  #getRangeOffsets(range) {
+    if (!range) {
+      const length = this.#getText().length;
+      return { start: length, end: length };
+    }
+    return {
+      start: this.#getTextOffset(range.startContainer, range.startOffset),
+      end: this.#getTextOffset(range.endContainer, range.endOffset),
+    };
+  }
+
+  /**
+   * Cuts the text to a length, keeping the caret where it was or at the new end
+   * @param {number} length
+   */
+  #truncateText(length) {
+    const caret = this.#getCaretOffset();
+    const text = this.#getText().substring(0, length);
+
+    this.#setText(text);
+    this.#setCaretOffset(Math.min(caret ?? text.length, text.length));
+  }
+
+  /**
+   * Starts a new undo history from the current text
+   */
+  #resetHistory() {
+    const text = this.#getText();
+    this.#history = [{ text, caret: text.length }];
+    this.#historyIndex = 0;
+    this.#lastHistoryType = '';
+  }
+
+  /**
+   * Adds the current text to the undo history
+   * Characters typed in quick succession are merged into one step, like in native inputs
+   * @param {string} [inputType] - The kind of edit that changed the text
+   */
+  #recordHistory(inputType = '') {
+    const text = this.#getText();
+    const caret = this.#getCaretOffset() ?? text.length;
+    const entry = this.#history[this.#historyIndex];
+    if (entry?.text === text) {
+      entry.caret = caret;
+      return;
+    }
+
+    const now = Date.now();
+    const isMerged = inputType === 'insertText' &&
+      this.#lastHistoryType === 'insertText' &&
+      now - this.#lastHistoryTime < HISTORY_MERGE_DELAY &&
+      this.#historyIndex > 0;
+
+    // Editing after undoing drops the steps that could have been redone
+    this.#history.length = this.#historyIndex + (isMerged ? 0 : 1);
+    this.#history.push({ text, caret });
+    if (this.#history.length > HISTORY_LIMIT) {
+      this.#history.shift();
+    }
+
+    this.#historyIndex = this.#history.length - 1;
+    this.#lastHistoryType = inputType;
+    this.#lastHistoryTime = now;
+  }
+
+  /**
+   * Moves through the undo history and restores the text and caret of that step
+   * @param {number} offset - -1 to undo, 1 to redo
+   */
+  #applyHistory(offset) {
+    const entry = this.#history[this.#historyIndex + offset];
+    if (!entry) return;
+
+    this.#historyIndex += offset;
+    this.#lastHistoryType = '';
+    this.#setText(entry.text);
+    this.#setCaretOffset(entry.caret);
+    this.#handleInput(new InputEvent('input', { inputType: offset < 0 ? 'historyUndo' : 'historyRedo' }));
+  }
+
+  /**
+   * Rewrites markup that contenteditable inserted, like <br> and <div>, as plain text
+   * The caret stays at the same position in the text
+   */
+  #normalizeText() {
+    if (this.childElementCount === 0) return;
+
+    const caret = this.#getCaretOffset();
+    this.#setText(this.#getText());
+    if (caret !== null) {
+      this.#setCaretOffset(caret);
+    }
+  }
+
+  /**
+   * Sizes a multiline input to show at least rows lines, growing with its content up to max-rows lines
+   */
+  #updateRows() {
+    const rows = parseInt(this.getAttribute('rows'), 10);
+    const maxRows = parseInt(this.getAttribute('max-rows'), 10);
+
+    if (rows > 0) {
+      this.style.setProperty('--input-text-rows', String(rows));
+    } else {
+      this.style.removeProperty('--input-text-rows');
+    }
+    if (maxRows > 0) {
+      this.style.setProperty('--input-text-max-rows', String(Math.max(maxRows, rows || 1)));
+    } else {
+      this.style.removeProperty('--input-text-max-rows');
+    }
+  }
+
+  /**
+   * Shows the number of characters after the input when the counter attribute is set, out of maxlength when present
+   * The counter describes the input, and is only announced when the limit is reached
+   */
+  #updateCounter() {
+    if (!this.isConnected || !this.hasAttribute('counter')) {
+      this.#counter?.remove();
+      this.#counter = null;
+      return;
+    }
+
+    if (!this.#counter) {
+      this.#counter = document.createElement('span');
+      this.#counter.dataset.counter = '';
+      this.#counter.id = `input-text-counter-${++idCounter}`;
+      (this.#spinButtons ?? this).after(this.#counter);
+
+      const ids = (this.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      this.setAttribute('aria-describedby', [...ids, this.#counter.id].join(' '));
+    }
+
+    const length = this.#getText().length;
+    const maxlength = parseInt(this.getAttribute('maxlength'), 10);
+    const isFull = maxlength >= 0 && length >= maxlength;
+
+    this.#counter.textContent = maxlength >= 0 ? `${length} / ${maxlength}` : String(length);
+    this.#counter.toggleAttribute('data-full', isFull);
+    this.#counter.setAttribute('aria-live', isFull ? 'polite' : 'off');
+  }
+
+  /**
+   * @returns {boolean} Whether the input holds a password
+   */
+  #isPassword() {
+    return this.getAttribute('type') === 'password';
+  }
+
+  /**
+   * @returns {boolean} Whether the characters of a password are hidden
+   */
+  #isConcealed() {
+    return this.#isPassword() && !this.hasAttribute('revealed');
+  }
+
+  /**
+   * @returns {boolean} Whether the input keeps line breaks
+   */
+  #isMultiline() {
+    return this.hasAttribute('multiline') && !this.#isNumeric();
+  }
+
+  /**
+   * @returns {boolean} Whether the input holds a number
+   */
+  #isNumeric() {
+    return this.getAttribute('type') === 'number';
+  }
+
+  /**
+   * @returns {{ min: number | null, max: number | null, step: number | null }}
+   * Step is null for step="any"
+   */
+  #getNumericConstraints() {
+    const read = name => {
+      const attribute = this.getAttribute(name);
+      const number = attribute === null || attribute === '' ? NaN : Number(attribute);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    const step = read('step');
+    return {
+      min: read('min'),
+      max: read('max'),
+      step: this.getAttribute('step') === 'any' ? null : step > 0 ? step : 1,
+    };
+  }
+
+  /**
+   * @returns {string | undefined} The language of the closest element with a lang attribute
+   */
+  #getLocale() {
+    return this.closest('[lang]')?.getAttribute('lang') || undefined;
+  }
+
+  /**
+   * @param {number} number
+   * @returns {string} The number with the decimal and grouping separators of the locale
+   */
+  #formatNumber(number) {
+    return new Intl.NumberFormat(this.#getLocale(), {
+      maximumFractionDigits: Math.min(getDecimals(number), 100),
+    }).format(number);
+  }
   
   /**
-   * Sets the cursor at the end of the text content
+   * @returns {string} The text as the user sees it, single-line inputs without line breaks
+   * A hidden password returns the characters behind the bullets
    */
-  #setCursorAtEnd() {
-    const range = document.createRange();
+  #getText() {
+    if (this.#isConcealed()) {
+      return this.#secret;
+    }
+
+    const text = getPlainText(this);
+    return this.#isMultiline() ? text : text.replace(/\n/g, '');
+  }
+
+  /**
+   * Replaces the text, showing a hidden password as bullets
+   * @param {string} text
+   */
+  #setText(text) {
+    if (this.#isConcealed()) {
+      this.#secret = text;
+      this.textContent = PASSWORD_BULLET.repeat(text.length);
+    } else {
+      this.#secret = '';
+      this.textContent = text;
+    }
+  }
+
+  /**
+   * Applies text composed over the bullets of a hidden password to the characters behind them
+   * Compositions cannot be cancelled like other edits, so the composed text is read between
+   * the bullets that were before and after the selection when the composition started
+   */
+  #syncSecret() {
+    const composition = this.#secretComposition;
+    this.#secretComposition = null;
+    if (!composition || !this.#isConcealed()) return;
+
+    const { start, end } = composition;
+    const display = getPlainText(this).replace(/\n/g, '');
+    const after = this.#secret.length - end;
+    const composed = display.slice(start, Math.max(start, display.length - after));
+
+    this.#setText(this.#secret.slice(0, start) + composed + this.#secret.slice(end));
+    this.#setCaretOffset(start + composed.length);
+  }
+
+  /**
+   * @returns {number | null} The caret position in the text, or null when the selection is elsewhere
+   */
+  #getCaretOffset() {
     const selection = window.getSelection();
+    if (!selection?.rangeCount || !this.contains(selection.focusNode)) return null;
+
+    return this.#getTextOffset(selection.focusNode, selection.focusOffset);
+  }
+
+  /**
+   * @param {Node} node
+   * @param {number} offset
+   * @returns {number} The position in the text of a DOM position inside the element
+   */
+  #getTextOffset(node, offset) {
+    const range = document.createRange();
     range.selectNodeContents(this);
-    range.collapse(false); // false means collapse to end
+    range.setEnd(node, offset);
+    return getPlainText(range.cloneContents()).length;
+  }
+
+  /**
+   * Places the caret at a position in the text, when the element has focus
+   * @param {number} offset
+   */
+  #setCaretOffset(offset) {
+    if (document.activeElement !== this) return;
+
+    const range = document.createRange();
+    const node = this.firstChild;
+    if (node instanceof Text) {
+      range.setStart(node, Math.min(offset, node.length));
+    } else {
+      range.setStart(this, 0);
+    }
+    range.collapse(true);
+
+    const selection = window.getSelection();
     selection.removeAllRanges();
     selection.addRange(range);
   }
 }
 
-customElements.define('input-text', InputText); 
\ No newline at end of file
+customElements.define('input-text', InputText); 
@@ -1,18 +1,62 @@
 /**
- * @typedef {['value', 'disabled', 'readonly', 'required', 'type', 'name', 'form']} InputRootObservedAttributes
+ * @typedef {['value', 'checked', 'disabled', 'readonly', 'required', 'type', 'name', 'form']} InputRootObservedAttributes
  */
 
 /**
- * @typedef {['placeholder', 'maxlength', 'minlength', 'pattern']} InputTextObservedAttributes
+ * @typedef {['placeholder', 'maxlength', 'minlength', 'pattern', 'min', 'max', 'step', 'spin-buttons', 'mask', 'mask-value', 'multiline', 'rows', 'max-rows', 'counter', 'multiple', 'revealed']} InputTextObservedAttributes
  */
 
 /**
- * @typedef {['min', 'max', 'step']} InputSliderObservedAttributes
+ * @typedef {['min', 'max', 'disabled-dates', 'aria-invalid']} InputDateObservedAttributes
+ */
+
+/**
+ * @typedef {['indeterminate']} InputCheckboxObservedAttributes
+ */
+
+/**
+ * Constraint validation result an interface component reports to InputRoot
+ * @typedef {Object} InterfaceValidity
+ * @property {ValidityStateFlags} flags - The constraints the value fails
+ * @property {string} message - Message describing the first failed constraint, empty when valid
+ */
+
+/**
+ * Interface component managed by InputRoot, which may report its own constraint validation
+ * and forget the edits of the user when the form is reset
+ * @typedef {HTMLElement & { getValidityState?: () => InterfaceValidity, resetDirtyState?: () => void }} InterfaceComponent
+ */
+
+/**
+ * @typedef {['min', 'max', 'step', 'range', 'value-start', 'value-end', 'min-distance', 'orientation', 'list', 'ticks', 'tick-labels', 'scale', 'output']} InputSliderObservedAttributes
+ */
+
+/**
+ * Intl.NumberFormat options, or a callback turning a value into text
+ * @typedef {Intl.NumberFormatOptions | ((value: number) => string)} SliderFormat
+ */
+
+/**
+ * @typedef {Object} SliderScale
+ * @property {(value: number, min: number, max: number) => number} toPosition - Maps a value to a position on the track, from 0 to 1
+ * @property {(position: number, min: number, max: number) => number} toValue - Maps a position on the track, from 0 to 1, back to a value
+ */
+
+/**
+ * @typedef {Object} ValidatorContext
+ * @property {AbortSignal} signal - Aborted when the value changes before the validator settled
+ * @property {(name: string) => Element | RadioNodeList | null} getSibling - Finds another field by name, in the same form or document
+ */
+
+/**
+ * Checks a value, returning or resolving to a message when it is invalid and nothing when it is valid
+ * @typedef {(value: string, context: ValidatorContext) => string | null | undefined | Promise<string | null | undefined>} InputValidator
  */
 
 /**
  * @typedef {Object} InputInternalChangeEvent
- * @property {string} value - The new value of the input
+ * @property {string} [value] - The new value of the input
+ * @property {boolean} [checked] - The new checked state, sent by checkboxes and switches instead of a value
  */
 
 /**
@@ -1,22 +1,113 @@
-import { wait } from "../../dom-utility/timing.js";
-import { getSiblingOfSameTag } from "../../dom-utility/traversal.js";
+import { wait, debounce } from "../../dom-utility/timing.js";
+import { getAdjacentDescendant } from "../../dom-utility/traversal.js";
+import { foldText, findTextRange } from "../../dom-utility/search.js";
+import { anchorPopup } from "../../dom-utility/popup.js";
 
 /**
- * @typedef {["open"]} ObservedAttributes
+ * @typedef {["open", "required", "multiple", "name", "searchable", "virtual", "trigger-display"]} ObservedAttributes
  */
 
-const CUSTOM_OPTION_SELECTOR = "custom-option:not([disabled])";
+/**
+ * @typedef {Object} OptionRecord
+ * @property {string} value - The option value
+ * @property {string} [label] - The option display text, defaults to the value
+ * @property {boolean} [disabled] - Whether the option can be selected
+ */
+
+/**
+ * Provides options for a query, one page at a time. An empty page ends pagination.
+ * @typedef {(query: string, context: { signal: AbortSignal, offset: number }) => Promise<OptionRecord[]>} OptionLoader
+ */
+
+/**
+ * Renders the selected option into the trigger. Returning null falls back to the option label.
+ * @typedef {(option: HTMLElement) => Node | string | null} TriggerRenderer
+ */
+
+// Options of a disabled custom-optgroup are disabled as well
+const CUSTOM_OPTION_SELECTOR =
+  "custom-option:not([disabled]):not(custom-optgroup[disabled] custom-option)";
+const NAVIGABLE_OPTION_SELECTOR = `${CUSTOM_OPTION_SELECTOR}:not([hidden])`;
+
+// Shared by every select so matches can be styled with ::highlight(custom-select-match)
+const matchHighlight = window.CSS?.highlights ? new window.Highlight() : null;
+if (matchHighlight) {
+  CSS.highlights.set("custom-select-match", matchHighlight);
+}
+
+let idCounter = 0;
+
+const LOAD_DEBOUNCE_DELAY = 250;
+const LOAD_MORE_THRESHOLD = 48;
+const TYPEAHEAD_RESET_DELAY = 500;
+const DEFAULT_PAGE_SIZE = 10;
+const VIRTUAL_OVERSCAN = 5;
+const DEFAULT_OPTION_HEIGHT = 24;
+const LOAD_STATE_MESSAGES = {
+  loading: "Loading…",
+  error: "Could not load options",
+  empty: "No results",
+};
 
 /**
  * Custom select component implementing accessible dropdown functionality
  */
 class CustomSelect extends HTMLElement {
-  #selectedItem = null;
+  #selectedItems = [];
+  /** @type {OptionRecord[]} The selection in virtual mode, where most selected options have no element */
+  #selectedRecords = [];
   #focusedItem = null;
+  #anchorItem = null;
+  #defaultItems = [];
+  #customValue = null;
+  #matchRanges = [];
+  #placeholder = null;
+  #placeholderContent = null;
+  #renderTrigger = null;
+  #internals = null;
+  #isDisabled = false;
+  #loadOptions = null;
+  #loadController = null;
+  #loadedQuery = null;
+  #loadedCount = 0;
+  #hasMoreOptions = false;
+  #debouncedLoad = debounce((query) => this.#loadPage(query), LOAD_DEBOUNCE_DELAY);
+  #records = [];
+  #recordIndexByValue = new Map();
+  #optionCache = new Map();
+  #view = [];
+  #filterQuery = "";
+  #optionHeight = 0;
+  #releasePopup = null;
+  #typeaheadBuffer = "";
+  #resetTypeahead = debounce(() => {
+    this.#typeaheadBuffer = "";
+  }, TYPEAHEAD_RESET_DELAY);
+
+  /**
+   * Indicates this custom element can be associated with a form
+   */
+  static formAssociated = true;
 
   /**@type {ObservedAttributes} */
   static get observedAttributes() {
-    return ["open"];
+    return [
+      "open",
+      "required",
+      "multiple",
+      "name",
+      "searchable",
+      "virtual",
+      "trigger-display",
+    ];
+  }
+
+  constructor() {
+    super();
+    // Initialize form internals if supported
+    if (window.ElementInternals && HTMLElement.prototype.attachInternals) {
+      this.#internals = this.attachInternals();
+    }
   }
 
   connectedCallback() {
@@ -24,9 +115,17 @@ class CustomSelect extends HTMLElement {
     this.addEventListener("keydown", this.#onKeydown);
     this.addEventListener("focusout", this.#onFocusout);
     this.addEventListener("focusin", this.#handleFocusIn);
+    this.addEventListener("input", this.#onInput);
+    this.addEventListener("mousedown", this.#onMousedown);
+    this.addEventListener("_custom-option-label-change", this.#onOptionLabelChange);
+    // Scroll does not bubble, so listen for the group scrolling during capture
+    this.addEventListener("scroll", this.#onScroll, { capture: true });
 
     this.#setupAccessibility();
     this.#initializeSelected();
+    if (this.virtual) {
+      this.#updateVirtual();
+    }
   }
 
   disconnectedCallback() {
@@ -34,14 +133,86 @@ class CustomSelect extends HTMLElement {
     this.removeEventListener("keydown", this.#onKeydown);
     this.removeEventListener("focusout", this.#onFocusout);
     this.removeEventListener("focusin", this.#handleFocusIn);
+    this.removeEventListener("input", this.#onInput);
+    this.removeEventListener("mousedown", this.#onMousedown);
+    this.removeEventListener("_custom-option-label-change", this.#onOptionLabelChange);
+    this.removeEventListener("scroll", this.#onScroll, { capture: true });
+    this.#clearMatches();
+    this.#debouncedLoad.cancel();
+    this.#loadController?.abort();
+    this.#resetTypeahead.cancel();
+    this.#typeaheadBuffer = "";
+    this.#releasePopup?.();
+    this.#releasePopup = null;
   }
 
   /**
    * @param {ObservedAttributes[number]} name
+   * @param {string | null} oldValue
+   * @param {string | null} newValue
    */
-  attributeChangedCallback(name) {
+  attributeChangedCallback(name, oldValue, newValue) {
     if (name === "open") {
       this.#updateUI();
+      if ((oldValue === null) !== (newValue === null)) {
+        this.#dispatchToggle(newValue !== null);
+      }
+    } else if (name === "required") {
+      this.setAttribute("aria-required", this.required.toString());
+      this.#updateValidity();
+    } else if (name === "multiple") {
+      this.#updateMultiple();
+    } else if (name === "name") {
+      this.#updateFormValue();
+    } else if (name === "searchable") {
+      this.#updateSearchable();
+    } else if (name === "virtual") {
+      this.#updateVirtual();
+    } else if (name === "trigger-display") {
+      this.#updateTrigger();
+    }
+  }
+
+  /**
+   * Restores the options that were selected when the select was first connected
+   */
+  formResetCallback() {
+    this.#applySelection(this.#defaultItems);
+  }
+
+  /**
+   * @param {boolean} disabled - Whether the select or an ancestor fieldset is disabled
+   */
+  formDisabledCallback(disabled) {
+    this.#isDisabled = disabled;
+    this.setAttribute("aria-disabled", disabled.toString());
+    this.querySelector("custom-trigger")?.setAttribute(
+      "tabindex",
+      disabled ? "-1" : "0"
+    );
+    this.#updateSearchable();
+
+    if (disabled) {
+      this.close();
+    }
+  }
+
+  /**
+   * @param {string | FormData | null} state - The value saved by the browser on navigation
+   */
+  formStateRestoreCallback(state) {
+    let values = [];
+    if (state instanceof FormData) {
+      values = state.getAll(this.name);
+    } else if (typeof state === "string") {
+      values = [state];
+    }
+
+    const items = this.#getOptionsByValues(values);
+    this.#applySelection(this.multiple ? items : items.slice(0, 1));
+
+    if (items.length === 0 && values.length > 0 && this.allowCustom) {
+      this.#applyCustomValue(String(values[0]));
     }
   }
   
@@ -52,10 +223,13 @@ class CustomSelect extends HTMLElement {
   #handleFocusIn(event) {
     if (event.target.closest(CUSTOM_OPTION_SELECTOR)) {
       this.#focusedItem = event.target.closest(CUSTOM_OPTION_SELECTOR);
+    } else if (this.searchable && event.target.closest("custom-trigger")) {
+      this.#selectTriggerText();
     }
   }
 
   open() {
+    if (this.#isDisabled) return;
     this.toggleAttribute("open", true);
   }
 
@@ -64,48 +238,336 @@ class CustomSelect extends HTMLElement {
   }
 
   toggle() {
+    if (this.#isDisabled) return;
     this.toggleAttribute("open");
   }
 
   get selectedValue() {
-    return this.#selectedItem?.getAttribute("value") ?? null;
+    return this.selectedValues[0] ?? null;
   }
 
+  /**
+   * @param {string | null} value - The value of the option to select, or null to clear
+   */
   set selectedValue(value) {
-    const item = this.querySelector(
-      `${CUSTOM_OPTION_SELECTOR}[value="${value}"]`
-    );
+    if (value === null || value === undefined) {
+      this.#setSelectionFromHost([]);
+      return;
+    }
+
+    const item = this.#getOptionByValue(value);
     if (item) {
-      this.#setSelected(item);
+      this.#setSelectionFromHost([item]);
+    } else if (this.allowCustom) {
+      this.#setCustomValueFromHost(String(value));
+    }
+  }
+
+  /**
+   * Values of all selected options in document order
+   * @returns {string[]}
+   */
+  get selectedValues() {
+    if (this.#customValue !== null) {
+      return [this.#customValue];
+    }
+    if (this.virtual) {
+      return this.#selectedRecords.map((record) => String(record.value));
+    }
+    return this.#selectedItems.map((item) => item.getAttribute("value"));
+  }
+
+  /**
+   * @param {Iterable<string>} values - Values of the options to select
+   */
+  set selectedValues(values) {
+    const list = [...values];
+    const items = this.#getOptionsByValues(list);
+    if (items.length === 0 && list.length > 0 && this.allowCustom) {
+      this.#setCustomValueFromHost(String(list[0]));
+      return;
+    }
+    this.#setSelectionFromHost(this.multiple ? items : items.slice(0, 1));
+  }
+
+  /**
+   * Whether user interaction only requests changes through events
+   * The selection then changes only when the host sets selectedValue or selectedValues
+   * @returns {boolean}
+   */
+  get controlled() {
+    return this.hasAttribute("controlled");
+  }
+
+  set controlled(isControlled) {
+    this.toggleAttribute("controlled", isControlled);
+  }
+
+  get multiple() {
+    return this.hasAttribute("multiple");
+  }
+
+  set multiple(isMultiple) {
+    this.toggleAttribute("multiple", isMultiple);
+  }
+
+  get searchable() {
+    return this.hasAttribute("searchable");
+  }
+
+  set searchable(isSearchable) {
+    this.toggleAttribute("searchable", isSearchable);
+  }
+
+  /**
+   * Whether typed text that matches no option is accepted as the value
+   * Only applies to searchable selects without the multiple attribute
+   * @returns {boolean}
+   */
+  get allowCustom() {
+    return this.hasAttribute("allow-custom") && this.searchable && !this.multiple;
+  }
+
+  set allowCustom(isAllowed) {
+    this.toggleAttribute("allow-custom", isAllowed);
+  }
+
+  /**
+   * Data provider rendering its records as custom-option elements instead of the markup options
+   * @returns {OptionLoader | null}
+   */
+  get loadOptions() {
+    return this.#loadOptions;
+  }
+
+  /**
+   * @param {OptionLoader | null} loader
+   */
+  set loadOptions(loader) {
+    this.#loadOptions = typeof loader === "function" ? loader : null;
+    this.#loadedQuery = null;
+    this.#debouncedLoad.cancel();
+    this.#loadController?.abort();
+
+    if (this.#loadOptions && this.hasAttribute("open")) {
+      this.#loadPage(this.#getQuery());
+    }
+  }
+
+  /**
+   * Option data rendered as custom-option elements in place of the markup options
+   * With the virtual attribute only the visible window of it is in the DOM
+   * @returns {OptionRecord[]}
+   */
+  get options() {
+    return [...this.#records];
+  }
+
+  /**
+   * @param {OptionRecord[]} records
+   */
+  set options(records) {
+    this.#setRecords([...records]);
+  }
+
+  /**
+   * Custom rendering of the selected option in the trigger
+   * Takes precedence over a template child and the trigger-display attribute
+   * @returns {TriggerRenderer | null}
+   */
+  get renderTrigger() {
+    return this.#renderTrigger;
+  }
+
+  /**
+   * @param {TriggerRenderer | null} renderer
+   */
+  set renderTrigger(renderer) {
+    this.#renderTrigger = typeof renderer === "function" ? renderer : null;
+    this.#updateTrigger();
+  }
+
+  /**
+   * Whether only the visible window of the options is in the DOM
+   * Without an options array the markup options become the option data when the list is virtualized.
+   * Their plain text label is kept, while custom-optgroup headings and rich content are dropped.
+   * @returns {boolean}
+   */
+  get virtual() {
+    return this.hasAttribute("virtual");
+  }
+
+  set virtual(isVirtual) {
+    this.toggleAttribute("virtual", isVirtual);
+  }
+
+  get name() {
+    return this.getAttribute("name") || "";
+  }
+
+  set name(newName) {
+    if (newName) {
+      this.setAttribute("name", newName);
+    } else {
+      this.removeAttribute("name");
     }
   }
 
+  get required() {
+    return this.hasAttribute("required");
+  }
+
+  set required(isRequired) {
+    this.toggleAttribute("required", isRequired);
+  }
+
+  get disabled() {
+    return this.hasAttribute("disabled");
+  }
+
+  set disabled(isDisabled) {
+    this.toggleAttribute("disabled", isDisabled);
+  }
+
+  get form() {
+    return this.#internals?.form ?? null;
+  }
+
+  get validity() {
+    return this.#internals?.validity ?? null;
+  }
+
+  get validationMessage() {
+    return this.#internals?.validationMessage ?? "";
+  }
+
+  checkValidity() {
+    return this.#internals?.checkValidity() ?? true;
+  }
+
+  reportValidity() {
+    return this.#internals?.reportValidity() ?? true;
+  }
+
   #setupAccessibility() {
-    this.setAttribute("role", "combobox");
-    this.setAttribute("aria-expanded", "false");
+    this.setAttribute("aria-required", this.required.toString());
+
+    const group = this.querySelector("custom-group");
+    if (group && !group.id) {
+      group.id = `custom-group-${++idCounter}`;
+    }
+
+    this.#updateSearchable();
   }
 
   #initializeSelected() {
-    const selected = this.querySelector(`${CUSTOM_OPTION_SELECTOR}[selected]`);
-    if (selected) {
-      this.#selectedItem = selected;
-      this.#updateTrigger();
-    }
+    const selected = [
+      ...this.querySelectorAll(`${CUSTOM_OPTION_SELECTOR}[selected]`),
+    ];
+    this.#defaultItems = this.multiple ? selected : selected.slice(0, 1);
+    this.#updateMultiple();
+    this.#applySelection(this.#defaultItems);
   }
 
   #onClick(event) {
+    if (this.#isDisabled) return;
+
     const target = event.target;
     const trigger = target.closest("custom-trigger");
     const option = target.closest(CUSTOM_OPTION_SELECTOR);
 
     if (trigger) {
-      this.toggle();
+      if (this.searchable) {
+        this.open();
+      } else {
+        this.toggle();
+      }
       return;
     }
 
-    if (option && this.contains(option) && !option.hasAttribute("selected")) {
+    if (!option || !this.contains(option)) return;
+
+    if (this.multiple) {
+      this.#anchorItem = option;
+      this.#toggleSelected(option);
+    } else {
       this.#setSelected(option);
       this.close();
+      this.#focusTrigger();
+    }
+  }
+
+  /**
+   * Keeps focus in the editable trigger while options are clicked
+   * @param {MouseEvent} event
+   */
+  #onMousedown(event) {
+    const keepsFocus = this.searchable || this.virtual;
+    if (keepsFocus && /** @type {Element} */ (event.target).closest("custom-group")) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Shows the new label of a selected option in the trigger
+   * @param {Event} event
+   */
+  #onOptionLabelChange(event) {
+    event.stopPropagation();
+    if (this.#isSelected(/** @type {HTMLElement} */ (event.target))) {
+      this.#updateTrigger();
+    }
+  }
+
+  /**
+   * Filters the options by the text typed into a searchable trigger
+   * @param {Event} event
+   */
+  #onInput(event) {
+    const trigger = /** @type {Element} */ (event.target).closest?.("custom-trigger");
+    if (!this.searchable || !trigger) return;
+
+    this.open();
+
+    if (this.#loadOptions) {
+      // Cancel the request for the previous query right away, not after the delay
+      this.#loadController?.abort();
+      this.#debouncedLoad(trigger.textContent.trim());
+      return;
+    }
+
+    this.#filterOptions(trigger.textContent);
+
+    // Typed text may be the value itself, so do not pre-activate a match
+    if (this.allowCustom) {
+      this.#setActiveItem(null);
+    } else {
+      this.#focusItem(this.#getFirstOption());
+    }
+  }
+
+  /**
+   * Loads the next page of a remote option list when the group is scrolled near its end
+   * @param {Event} event
+   */
+  #onScroll(event) {
+    const group = event.target;
+    if (!(group instanceof HTMLElement) || group.tagName !== "CUSTOM-GROUP") {
+      return;
+    }
+
+    if (this.virtual) {
+      this.#renderVirtualWindow();
+    }
+
+    if (!this.#loadOptions || !this.#hasMoreOptions || this.#loadController) {
+      return;
+    }
+
+    const distanceToEnd =
+      group.scrollHeight - group.scrollTop - group.clientHeight;
+    if (distanceToEnd <= LOAD_MORE_THRESHOLD) {
+      this.#loadPage(this.#loadedQuery ?? "", this.#loadedCount);
     }
   }
 
@@ -114,13 +576,22 @@ class CustomSelect extends HTMLElement {
 
     wait().then(() => {
       if (!this.contains(document.activeElement)) {
+        if (this.searchable) {
+          this.#commitTypedText();
+        }
         this.close();
       }
     });
   }
 
   #onKeydown(event) {
-    if (this.hasAttribute("open")) {
+    if (this.#isDisabled) return;
+
+    if (this.searchable && event.target.closest("custom-trigger")) {
+      this.#handleSearchKeydown(event);
+    } else if (this.#handleTypeahead(event)) {
+      return;
+    } else if (this.hasAttribute("open")) {
       this.#handleOpenKeydown(event);
     } else {
       this.#handleClosedKeydown(event);
@@ -143,6 +614,11 @@ class CustomSelect extends HTMLElement {
     }
 
     if (["ArrowDown", "ArrowUp"].includes(event.key)) {
+      if (this.multiple) {
+        event.preventDefault();
+        this.open();
+        return;
+      }
       this.#handleArrowNavigation(event);
     }
   }
@@ -154,10 +630,31 @@ class CustomSelect extends HTMLElement {
         this.#handleArrowNavigation(event);
         break;
 
-      case "Enter":
+      case "Home":
+      case "End":
+      case "PageUp":
+      case "PageDown":
+        this.#handlePageNavigation(event);
+        break;
+
       case " ":
+        if (this.multiple) {
+          event.preventDefault();
+          if (this.#focusedItem) {
+            this.#anchorItem = this.#focusedItem;
+            this.#toggleSelected(this.#focusedItem);
+          }
+          break;
+        }
+      // falls through
+      case "Enter":
         event.preventDefault();
-        if (this.#focusedItem && !this.#focusedItem.hasAttribute("disabled")) {
+        if (this.multiple) {
+          this.close();
+        } else if (
+          this.#focusedItem &&
+          !this.#isOptionDisabled(this.#focusedItem)
+        ) {
           this.#setSelected(this.#focusedItem);
           this.close();
         }
@@ -170,106 +667,1559 @@ class CustomSelect extends HTMLElement {
         this.close();
         this.#focusTrigger();
         break;
+
+      case "a":
+      case "A":
+        if (this.multiple && (event.ctrlKey || event.metaKey)) {
+          event.preventDefault();
+          this.#toggleAll();
+        }
+        break;
     }
   }
 
-  #handleArrowNavigation(event) {
-    event.preventDefault();
-    const currentElement = this.#getCurrentNavigationElement();
-    if (!currentElement) return;
+  /**
+   * Keyboard handling for the editable trigger of a searchable select
+   * Focus never leaves the trigger, the active option is tracked with aria-activedescendant
+   * @param {KeyboardEvent} event
+   */
+  #handleSearchKeydown(event) {
+    const isOpen = this.hasAttribute("open");
 
-    const direction = event.key === "ArrowDown" ? 1 : -1;
-    const sibling = getSiblingOfSameTag(
-      currentElement,
-      direction,
-      ":not([disabled])"
-    );
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        if (isOpen) {
+          this.#handleArrowNavigation(event);
+        } else {
+          event.preventDefault();
+          this.open();
+        }
+        break;
 
-    if (!sibling) return;
+      case "Enter":
+        event.preventDefault();
+        if (isOpen && this.#focusedItem) {
+          if (this.multiple) {
+            this.#anchorItem = this.#focusedItem;
+            this.#toggleSelected(this.#focusedItem);
+            return;
+          }
+          this.#setSelected(this.#focusedItem);
+        } else {
+          this.#commitTypedText();
+        }
+        this.close();
+        break;
 
-    if (this.hasAttribute("open")) {
-      this.#focusItem(sibling);
-    } else {
-      this.#setSelected(sibling);
+      case "Escape":
+        event.preventDefault();
+        if (isOpen) {
+          this.close();
+        } else if (!this.multiple) {
+          this.querySelector("custom-trigger").textContent = "";
+          this.#commitTypedText();
+        }
+        break;
+
+      case "PageUp":
+      case "PageDown":
+        if (isOpen) {
+          this.#handlePageNavigation(event);
+        }
+        break;
+
+      case "Tab":
+        if (isOpen) {
+          this.#commitTypedText();
+          this.close();
+        }
+        break;
     }
   }
 
-  #getCurrentNavigationElement() {
-    return this.hasAttribute("open")
-      ? this.#focusedItem ||
-          this.#selectedItem ||
-          this.querySelector(CUSTOM_OPTION_SELECTOR)
-      : this.#selectedItem || this.querySelector(CUSTOM_OPTION_SELECTOR);
-  }
+  /**
+   * Buffers printable keys and moves to the next option whose label starts with them
+   * Repeating one letter cycles through the options starting with it
+   * @param {KeyboardEvent} event
+   * @returns {boolean} Whether the key was consumed
+   */
+  #handleTypeahead(event) {
+    const isPrintable =
+      event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey;
+    // Space only searches once a search is in progress, otherwise it selects
+    if (!isPrintable || (event.key === " " && !this.#typeaheadBuffer)) {
+      return false;
+    }
 
-  #focusTrigger() {
-    this.querySelector("custom-trigger")?.focus();
-  }
+    event.preventDefault();
+    this.#typeaheadBuffer += event.key;
+    this.#resetTypeahead();
 
-  #updateUI() {
     const isOpen = this.hasAttribute("open");
-    this.setAttribute("aria-expanded", isOpen.toString());
+    const current = isOpen ? this.#focusedItem : this.#selectedItem;
+    const match = this.#findTypeaheadMatch(this.#typeaheadBuffer, current);
+    if (!match) return true;
 
     if (isOpen) {
-      const itemToFocus =
-        this.#selectedItem || this.querySelector(CUSTOM_OPTION_SELECTOR);
-      this.#focusItem(itemToFocus);
+      this.#focusItem(match);
+    } else if (this.multiple) {
+      this.open();
+      this.#focusItem(match);
+    } else {
+      this.#setSelected(match);
     }
+    return true;
   }
 
-  #setSelected(item) {
-    if (this.#selectedItem) {
-      this.#selectedItem.removeAttribute("selected");
-      this.#selectedItem.removeAttribute("aria-selected");
-    }
+  /**
+   * @param {string} buffer - The typed characters
+   * @param {HTMLElement | null} current - The option the search continues from
+   * @returns {HTMLElement | null}
+   */
+  #findTypeaheadMatch(buffer, current) {
+    const list = this.#getNavigableList();
+    if (list.length === 0) return null;
 
-    let currentItem = this.#selectedItem;
-    this.#selectedItem = item;
-    if (item && !item.hasAttribute("disabled") && item !== currentItem) {
-      item.setAttribute("selected", "");
-      item.setAttribute("aria-selected", "true");
+    const isRepeated = [...buffer].every((char) => char === buffer[0]);
+    const prefix = foldText(isRepeated ? buffer[0] : buffer);
+    const position = current ? list.indexOf(current) : -1;
+    // A new or cycling search starts after the current option, a longer one includes it
+    const start = position === -1 ? 0 : position + (isRepeated ? 1 : 0);
 
-      this.#updateTrigger();
-      this.dispatchEvent(
-        new CustomEvent("change", {
-          bubbles: true,
-          detail: { value: this.selectedValue },
-        })
+    for (let step = 0; step < list.length; step++) {
+      const index = (start + step) % list.length;
+      if (foldText(list.label(index)).startsWith(prefix)) {
+        return list.at(index);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Moves to the first or last option, or a page of options up or down
+   * @param {KeyboardEvent} event
+   */
+  #handlePageNavigation(event) {
+    event.preventDefault();
+    const list = this.#getNavigableList();
+    if (list.length === 0) return;
+
+    const position = this.#focusedItem ? list.indexOf(this.#focusedItem) : -1;
+    const pageSize = this.#getPageSize();
+    let target = 0;
+
+    switch (event.key) {
+      case "Home":
+        target = 0;
+        break;
+      case "End":
+        target = list.length - 1;
+        break;
+      case "PageUp":
+        target = Math.max(0, position - pageSize);
+        break;
+      case "PageDown":
+        target = Math.min(list.length - 1, Math.max(0, position) + pageSize);
+        break;
+    }
+
+    this.#focusItem(list.at(target));
+  }
+
+  /**
+   * Navigable options in list order, resolved lazily so virtual lists do not create every element
+   * @returns {{ length: number, label: (index: number) => string, indexOf: (option: HTMLElement) => number, at: (index: number) => HTMLElement }}
+   */
+  #getNavigableList() {
+    if (this.virtual) {
+      const indices = this.#view.filter((index) => !this.#records[index].disabled);
+      return {
+        length: indices.length,
+        label: (index) => this.#getRecordLabel(this.#records[indices[index]]),
+        indexOf: (option) =>
+          indices.indexOf(
+            this.#recordIndexByValue.get(option.getAttribute("value"))
+          ),
+        at: (index) => this.#getRecordOption(indices[index]),
+      };
+    }
+
+    const options = /** @type {HTMLElement[]} */ ([...this.querySelectorAll(NAVIGABLE_OPTION_SELECTOR)]);
+    return {
+      length: options.length,
+      label: (index) => this.#getOptionLabel(options[index]),
+      indexOf: (option) => options.indexOf(option),
+      at: (index) => options[index],
+    };
+  }
+
+  /**
+   * @returns {number} How many options fit in the open group
+   */
+  #getPageSize() {
+    const group = this.querySelector("custom-group");
+    const height = this.#getOptionHeight();
+    if (!group?.clientHeight) return DEFAULT_PAGE_SIZE;
+    return Math.max(1, Math.floor(group.clientHeight / height));
+  }
+
+  #handleArrowNavigation(event) {
+    event.preventDefault();
+    const currentElement = this.#getCurrentNavigationElement();
+    if (!currentElement) return;
+
+    const direction = event.key === "ArrowDown" ? 1 : -1;
+    const sibling = this.#getAdjacentOption(currentElement, direction);
+
+    if (!sibling) return;
+
+    if (this.hasAttribute("open")) {
+      this.#focusItem(sibling);
+      if (this.multiple && event.shiftKey) {
+        this.#selectRange(this.#anchorItem ?? currentElement, sibling);
+      } else {
+        this.#anchorItem = sibling;
+      }
+    } else {
+      this.#setSelected(sibling);
+    }
+  }
+
+  #getCurrentNavigationElement() {
+    const visibleSelected = this.#selectedItem?.hidden ? null : this.#selectedItem;
+
+    return this.hasAttribute("open")
+      ? this.#focusedItem || visibleSelected || this.#getFirstOption()
+      : this.#selectedItem || this.#getFirstOption();
+  }
+
+  /**
+   * The first enabled option that is not filtered out
+   * @returns {HTMLElement | null}
+   */
+  #getFirstOption() {
+    if (!this.virtual) {
+      return this.querySelector(NAVIGABLE_OPTION_SELECTOR);
+    }
+
+    const index = this.#view.find((i) => !this.#records[i].disabled);
+    return index === undefined ? null : this.#getRecordOption(index);
+  }
+
+  /**
+   * Finds the next or previous navigable option, looping around the list
+   * @param {HTMLElement} option - The reference option
+   * @param {number} direction - Positive for next, negative for previous
+   * @returns {HTMLElement | null}
+   */
+  #getAdjacentOption(option, direction) {
+    if (!this.virtual) {
+      return getAdjacentDescendant(
+        this,
+        option,
+        direction,
+        NAVIGABLE_OPTION_SELECTOR
+      );
+    }
+
+    const total = this.#view.length;
+    const start = this.#getViewPosition(option);
+    if (start === -1) return this.#getFirstOption();
+
+    for (let step = 1; step < total; step++) {
+      const position = (((start + direction * step) % total) + total) % total;
+      const index = this.#view[position];
+      if (!this.#records[index].disabled) {
+        return this.#getRecordOption(index);
+      }
+    }
+    return null;
+  }
+
+  #focusTrigger() {
+    this.querySelector("custom-trigger")?.focus();
+  }
+
+  #updateUI() {
+    const isOpen = this.hasAttribute("open");
+    this.#getComboboxElement()?.setAttribute("aria-expanded", isOpen.toString());
+
+    this.#updatePopup(isOpen);
+
+    if (isOpen) {
+      this.#renderVirtualWindow();
+
+      const itemToFocus = this.#selectedItem || this.#getFirstOption();
+      this.#focusItem(itemToFocus);
+
+      if (this.#loadOptions && this.#loadedQuery !== "") {
+        this.#loadPage("");
+      }
+    } else if (this.searchable || this.virtual) {
+      this.#setActiveItem(null);
+      this.#filterOptions("");
+      this.#updateTrigger();
+    }
+  }
+
+  /**
+   * Anchors the open group to the trigger, in the top layer where supported
+   * @param {boolean} isOpen
+   */
+  #updatePopup(isOpen) {
+    this.#releasePopup?.();
+    this.#releasePopup = null;
+
+    const group = this.querySelector("custom-group");
+    if (!isOpen || !group || !this.isConnected) return;
+
+    const anchor = this.querySelector("custom-trigger") ?? this;
+    this.#releasePopup = anchorPopup(group, anchor);
+  }
+
+  /**
+   * The element carrying the combobox role: the trigger when searchable, otherwise the select itself
+   * @returns {HTMLElement | null}
+   */
+  #getComboboxElement() {
+    return this.searchable ? this.querySelector("custom-trigger") : this;
+  }
+
+  #updateSearchable() {
+    const trigger = this.querySelector("custom-trigger");
+    if (!trigger) return;
+
+    const isOpen = this.hasAttribute("open").toString();
+
+    if (this.searchable) {
+      this.setAttribute("role", "group");
+      this.removeAttribute("aria-expanded");
+      trigger.setAttribute("role", "combobox");
+      trigger.setAttribute("aria-autocomplete", "list");
+      trigger.setAttribute("aria-expanded", isOpen);
+      trigger.contentEditable = (!this.#isDisabled).toString();
+      trigger.spellcheck = false;
+
+      const group = this.querySelector("custom-group");
+      if (group?.id) {
+        trigger.setAttribute("aria-controls", group.id);
+      }
+    } else {
+      this.setAttribute("role", "combobox");
+      this.setAttribute("aria-expanded", isOpen);
+      trigger.setAttribute("role", "button");
+      trigger.removeAttribute("contenteditable");
+      trigger.removeAttribute("aria-autocomplete");
+      trigger.removeAttribute("aria-expanded");
+      trigger.removeAttribute("aria-controls");
+      trigger.removeAttribute("aria-activedescendant");
+      this.#setActiveItem(null);
+      this.#filterOptions("");
+    }
+
+    this.#updateTrigger();
+  }
+
+  /**
+   * Hides options that do not match the query and highlights the matched text of the rest
+   * @param {string} query - The text typed into the trigger
+   */
+  #filterOptions(query) {
+    this.#clearMatches();
+
+    if (this.virtual) {
+      this.#filterRecords(query);
+      return;
+    }
+
+    this.querySelectorAll("custom-option").forEach((option) => {
+      if (!query.trim()) {
+        option.hidden = false;
+        return;
+      }
+
+      const isMatch = foldText(this.#getOptionLabel(option)).includes(
+        foldText(query.trim())
+      );
+      this.#highlightMatch(option, query.trim());
+      // A loadOptions provider does its own filtering, so only highlight its results
+      option.hidden = !this.#loadOptions && !isMatch;
+    });
+
+    this.querySelectorAll("custom-optgroup").forEach((optgroup) => {
+      optgroup.hidden = !optgroup.querySelector("custom-option:not([hidden])");
+    });
+
+    if (this.#focusedItem?.hidden) {
+      this.#setActiveItem(null);
+    }
+  }
+
+  /**
+   * Narrows the virtual view to the records whose label matches the query
+   * @param {string} query - The text typed into the trigger
+   */
+  #filterRecords(query) {
+    const folded = foldText(query.trim());
+    this.#filterQuery = query.trim();
+    this.#view = [];
+    this.#records.forEach((record, index) => {
+      // A loadOptions provider does its own filtering
+      if (
+        !folded ||
+        this.#loadOptions ||
+        foldText(this.#getRecordLabel(record)).includes(folded)
+      ) {
+        this.#view.push(index);
+      }
+    });
+
+    const group = this.querySelector("custom-group");
+    if (group) {
+      group.scrollTop = 0;
+    }
+    this.#renderVirtualWindow();
+
+    if (this.#focusedItem && this.#getViewPosition(this.#focusedItem) === -1) {
+      this.#setActiveItem(null);
+    }
+  }
+
+  /**
+   * Replaces the option data, keeping selected options so the selection survives
+   * @param {OptionRecord[]} records
+   */
+  #setRecords(records) {
+    this.#records = records;
+    this.#recordIndexByValue = new Map(
+      records.map((record, index) => [String(record.value), index])
+    );
+    this.#optionCache = new Map(
+      this.#selectedItems.map((item) => [item.getAttribute("value"), item])
+    );
+    // Selected records take the data of the new records with the same value
+    this.#selectedRecords = this.#orderRecords(
+      this.#selectedRecords.map(
+        (record) => records[this.#recordIndexByValue.get(String(record.value))] ?? record
+      )
+    );
+
+    if (this.virtual) {
+      this.#filterRecords(this.#filterQuery);
+    } else {
+      this.#renderOptions(records, false);
+    }
+  }
+
+  /**
+   * Renders only the options inside the scrolled window of the group
+   * Padding stands in for the options above and below so the scrollbar stays accurate
+   */
+  #renderVirtualWindow() {
+    const group = this.querySelector("custom-group");
+    if (!group || !this.virtual) return;
+
+    const height = this.#getOptionHeight();
+    const total = this.#view.length;
+    const first = Math.floor(group.scrollTop / height);
+    const start = Math.max(0, first - VIRTUAL_OVERSCAN);
+    const end = Math.min(
+      total,
+      first + Math.ceil(group.clientHeight / height) + VIRTUAL_OVERSCAN
+    );
+
+    const options = [];
+    for (let position = start; position < end; position++) {
+      const option = this.#getRecordOption(this.#view[position]);
+      option.setAttribute("aria-setsize", String(total));
+      option.setAttribute("aria-posinset", String(position + 1));
+      options.push(option);
+    }
+
+    group.style.paddingBlockStart = `${start * height}px`;
+    group.style.paddingBlockEnd = `${(total - end) * height}px`;
+
+    const status = group.querySelector("custom-status");
+    group.replaceChildren(...options, ...(status ? [status] : []));
+
+    this.#pruneOptionCache(options);
+    this.#syncSelectedAttributes(options);
+
+    this.#clearMatches();
+    if (this.#filterQuery) {
+      options.forEach((option) => this.#highlightMatch(option, this.#filterQuery));
+    }
+
+    // The first render happens before an option could be measured
+    if (!this.#optionHeight && options.length > 0 && this.#getOptionHeight() !== height) {
+      this.#renderVirtualWindow();
+    }
+  }
+
+  /**
+   * Returns the cached element for a record, creating it on first use
+   * @param {number} index - The index of the record
+   * @returns {HTMLElement}
+   */
+  #getRecordOption(index) {
+    return this.#getCachedOption(this.#records[index]);
+  }
+
+  /**
+   * Returns the cached element for a record, which may be one the records no longer list
+   * @param {OptionRecord} record
+   * @returns {HTMLElement}
+   */
+  #getCachedOption(record) {
+    const value = String(record.value);
+
+    let option = this.#optionCache.get(value);
+    if (!option) {
+      option = this.#createOption(record);
+      this.#optionCache.set(value, option);
+    }
+    return option;
+  }
+
+  /**
+   * Drops cached elements that are neither rendered nor referenced by the select
+   * @param {HTMLElement[]} rendered - The options in the current window
+   */
+  #pruneOptionCache(rendered) {
+    const keep = new Set([
+      ...rendered,
+      ...this.#selectedItems,
+      this.#focusedItem,
+      this.#anchorItem,
+    ]);
+    this.#optionCache.forEach((option, value) => {
+      if (!keep.has(option)) {
+        this.#optionCache.delete(value);
+      }
+    });
+  }
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {number} The position of the option in the virtual view, or -1
+   */
+  #getViewPosition(option) {
+    const index = this.#recordIndexByValue.get(option.getAttribute("value"));
+    return index === undefined ? -1 : this.#view.indexOf(index);
+  }
+
+  #getRecordLabel(record) {
+    return record.label ?? String(record.value);
+  }
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {string} The plain text label, also used when the option has rich content
+   */
+  #getOptionLabel(option) {
+    return /** @type {CustomOption} */ (option).label ?? option.textContent.trim();
+  }
+
+  #getOptionHeight() {
+    if (!this.#optionHeight) {
+      this.#optionHeight =
+        this.querySelector("custom-option")?.getBoundingClientRect().height ?? 0;
+    }
+    return this.#optionHeight || DEFAULT_OPTION_HEIGHT;
+  }
+
+  /**
+   * Scrolls the virtual window so the option is rendered
+   * @param {HTMLElement} option
+   */
+  #scrollToOption(option) {
+    const group = this.querySelector("custom-group");
+    const position = this.#getViewPosition(option);
+    if (!group || position === -1) return;
+
+    const height = this.#getOptionHeight();
+    const top = position * height;
+    if (top < group.scrollTop) {
+      group.scrollTop = top;
+    } else if (top + height > group.scrollTop + group.clientHeight) {
+      group.scrollTop = top + height - group.clientHeight;
+    }
+    this.#renderVirtualWindow();
+  }
+
+  #updateVirtual() {
+    this.#transferSelection();
+
+    const group = this.querySelector("custom-group");
+    if (!group) return;
+
+    if (this.virtual) {
+      // The group holds focus and aria-activedescendant while options are recycled
+      group.setAttribute("tabindex", "-1");
+      if (this.#records.length === 0 && !this.#loadOptions) {
+        this.#setRecords(this.#getMarkupRecords());
+      } else {
+        this.#filterRecords(this.#filterQuery);
+      }
+    } else {
+      group.removeAttribute("tabindex");
+      group.removeAttribute("aria-activedescendant");
+      group.style.removeProperty("padding-block-start");
+      group.style.removeProperty("padding-block-end");
+      if (this.#records.length > 0) {
+        this.#renderOptions(this.#records, false);
+      }
+    }
+  }
+
+  /**
+   * Moves the selection between options and records when the virtual attribute changes
+   */
+  #transferSelection() {
+    if (this.virtual && this.#selectedItems.length > 0) {
+      this.#selectedRecords = this.#selectedItems.map((item) => this.#getOptionRecord(item));
+      this.#selectedItems = [];
+    } else if (!this.virtual && this.#selectedRecords.length > 0) {
+      this.#selectedItems = this.#selectedRecords.map((record) => this.#getCachedOption(record));
+      this.#selectedRecords = [];
+    }
+  }
+
+  /**
+   * Reads the markup options as option data, so the virtual window does not replace them
+   * @returns {OptionRecord[]} One record per markup option, disabled with its custom-optgroup
+   */
+  #getMarkupRecords() {
+    const options = /** @type {HTMLElement[]} */ ([...this.querySelectorAll("custom-option")]);
+    return options.map((option) => ({
+      value: option.getAttribute("value") ?? "",
+      label: this.#getOptionLabel(option),
+      disabled: this.#isOptionDisabled(option),
+    }));
+  }
+
+  /**
+   * Requests a page of options from the loadOptions provider, cancelling any request in flight
+   * @param {string} query - The text to load options for
+   * @param {number} [offset=0] - Number of options already loaded for this query
+   */
+  async #loadPage(query, offset = 0) {
+    this.#debouncedLoad.cancel();
+    this.#loadController?.abort();
+
+    const controller = new AbortController();
+    this.#loadController = controller;
+    this.#setLoadState("loading");
+
+    try {
+      const records = await this.#loadOptions(query, {
+        signal: controller.signal,
+        offset,
+      });
+      if (controller.signal.aborted) return;
+
+      if (this.virtual) {
+        const loaded = offset > 0 ? this.#records : [];
+        this.#setRecords([...loaded, ...(records ?? [])]);
+      } else {
+        this.#renderOptions(records ?? [], offset > 0);
+      }
+      this.#loadedQuery = query;
+      this.#loadedCount = offset + (records?.length ?? 0);
+      this.#hasMoreOptions = (records?.length ?? 0) > 0;
+      this.#filterOptions(query);
+      this.#setLoadState(this.#loadedCount === 0 ? "empty" : null);
+      this.#activateLoadedOption();
+    } catch {
+      if (controller.signal.aborted) return;
+      this.#setLoadState("error");
+    } finally {
+      if (this.#loadController === controller) {
+        this.#loadController = null;
+      }
+    }
+  }
+
+  /**
+   * Replaces or extends the options in the group with provider records
+   * Selected options are reused so the selection survives a new query
+   * @param {OptionRecord[]} records - The records to render
+   * @param {boolean} append - Whether to keep the options already rendered
+   */
+  #renderOptions(records, append) {
+    const group = this.querySelector("custom-group");
+    if (!group) return;
+
+    if (!append) {
+      group.querySelectorAll("custom-option").forEach((option) => option.remove());
+    }
+
+    const status = group.querySelector("custom-status");
+    records.forEach((record) => {
+      group.insertBefore(this.#createOption(record), status);
+    });
+
+    this.#applySelection(this.#selectedItems);
+  }
+
+  /**
+   * Creates the option element for a record, reusing a selected option with the same value
+   * @param {OptionRecord} record
+   * @returns {HTMLElement}
+   */
+  #createOption(record) {
+    const value = String(record.value);
+    const option =
+      this.#selectedItems.find((item) => item.getAttribute("value") === value) ??
+      document.createElement("custom-option");
+
+    option.setAttribute("value", value);
+    option.textContent = this.#getRecordLabel(record);
+    option.toggleAttribute("disabled", Boolean(record.disabled));
+    return option;
+  }
+
+  /**
+   * Reflects the provider state on the select and announces it through the status element
+   * @param {"loading" | "error" | "empty" | null} state
+   */
+  #setLoadState(state) {
+    const group = this.querySelector("custom-group");
+    if (!group) return;
+
+    this.toggleAttribute("loading", state === "loading");
+    this.toggleAttribute("error", state === "error");
+    group.setAttribute("aria-busy", (state === "loading").toString());
+
+    let status = group.querySelector("custom-status");
+    if (!status) {
+      status = document.createElement("custom-status");
+      group.append(status);
+    }
+
+    status.textContent = LOAD_STATE_MESSAGES[state] ?? "";
+    status.hidden = !status.textContent;
+  }
+
+  /**
+   * Activates an option once results arrive for a list that was opened before they did
+   */
+  #activateLoadedOption() {
+    if (!this.hasAttribute("open") || this.#focusedItem?.isConnected) return;
+    if (this.allowCustom) return;
+
+    const visibleSelected = this.#selectedItem?.hidden ? null : this.#selectedItem;
+    const isSelectedListed = this.virtual
+      ? visibleSelected && this.#getViewPosition(visibleSelected) !== -1
+      : visibleSelected?.isConnected;
+    this.#focusItem(
+      (isSelectedListed ? visibleSelected : null) || this.#getFirstOption()
+    );
+  }
+
+  /**
+   * The query for the current state: the typed text when searchable, otherwise empty
+   * @returns {string}
+   */
+  #getQuery() {
+    if (!this.searchable) return "";
+    return this.querySelector("custom-trigger")?.textContent.trim() ?? "";
+  }
+
+  /**
+   * Highlights the first occurrence of the query in the option label
+   * @param {HTMLElement} option
+   * @param {string} query
+   * @returns {Range | null} The highlighted range, or null when the label text has no match
+   */
+  #highlightMatch(option, query) {
+    const range = findTextRange(
+      option.querySelector(":scope > [slot=label]") ?? option,
+      query
+    );
+    if (range) {
+      this.#matchRanges.push(range);
+      matchHighlight?.add(range);
+    }
+    return range;
+  }
+
+  #clearMatches() {
+    this.#matchRanges.forEach((range) => matchHighlight?.delete(range));
+    this.#matchRanges = [];
+  }
+
+  /**
+   * Selects the option whose label equals the typed text, or accepts the text as a custom value
+   */
+  #commitTypedText() {
+    if (this.multiple) return;
+
+    const text = this.querySelector("custom-trigger")?.textContent.trim() ?? "";
+    if (!text) {
+      this.#commitSelection([]);
+      return;
+    }
+
+    const match = this.#findOptionByLabel(text);
+
+    if (match) {
+      this.#setSelected(match);
+    } else if (this.allowCustom) {
+      this.#commitCustomValue(text);
+    }
+    this.#updateTrigger();
+  }
+
+  /**
+   * @param {string} label - The label to compare, case- and diacritic-insensitively
+   * @returns {HTMLElement | null} The first enabled option with that label
+   */
+  #findOptionByLabel(label) {
+    const folded = foldText(label);
+
+    if (this.virtual) {
+      const index = this.#records.findIndex(
+        (record) =>
+          !record.disabled && foldText(this.#getRecordLabel(record)) === folded
+      );
+      return index === -1 ? null : this.#getRecordOption(index);
+    }
+
+    const options = /** @type {HTMLElement[]} */ ([...this.querySelectorAll(CUSTOM_OPTION_SELECTOR)]);
+    return options.find((option) => foldText(this.#getOptionLabel(option)) === folded) ?? null;
+  }
+
+  #selectTriggerText() {
+    const trigger = this.querySelector("custom-trigger");
+    const range = document.createRange();
+    const selection = window.getSelection();
+    range.selectNodeContents(trigger);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * The first selected option, created from its record in virtual mode
+   * @returns {HTMLElement | null}
+   */
+  get #selectedItem() {
+    if (this.virtual) {
+      const record = this.#selectedRecords[0];
+      return record ? this.#getCachedOption(record) : null;
+    }
+    return this.#selectedItems[0] ?? null;
+  }
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {boolean} Whether the option is part of the selection
+   */
+  #isSelected(option) {
+    if (this.virtual) {
+      const value = option.getAttribute("value");
+      return this.#selectedRecords.some((record) => String(record.value) === value);
+    }
+    return this.#selectedItems.includes(option);
+  }
+
+  #setSelected(item) {
+    if (!item || this.#isOptionDisabled(item)) return;
+
+    this.#commitSelection([item], item);
+  }
+
+  #toggleSelected(item) {
+    if (this.#isOptionDisabled(item)) return;
+
+    if (this.virtual) {
+      const value = item.getAttribute("value");
+      const records = this.#isSelected(item)
+        ? this.#selectedRecords.filter((record) => String(record.value) !== value)
+        : [...this.#selectedRecords, this.#getOptionRecord(item)];
+      this.#commitRecords(records, item);
+      return;
+    }
+
+    const items = this.#selectedItems.includes(item)
+      ? this.#selectedItems.filter((selected) => selected !== item)
+      : [...this.#selectedItems, item];
+    this.#commitSelection(items, item);
+  }
+
+  /**
+   * Applies a selection made by the host through selectedValue or selectedValues
+   * A controlled select takes it as is, otherwise it is committed like user input
+   * @param {HTMLElement[]} items
+   */
+  #setSelectionFromHost(items) {
+    if (this.controlled) {
+      this.#applySelection(items);
+    } else {
+      this.#commitSelection(items);
+    }
+  }
+
+  /**
+   * Sets a value that matches no option of an allow-custom select through selectedValue or selectedValues
+   * A controlled select takes it as is, otherwise it is committed like typed text
+   * @param {string} text - The custom value
+   */
+  #setCustomValueFromHost(text) {
+    if (this.controlled) {
+      this.#applyCustomValue(text);
+    } else {
+      this.#commitCustomValue(text);
+    }
+  }
+
+  /**
+   * Adds every enabled option between the two given options to the selection
+   * @param {HTMLElement} from - The option the range starts at
+   * @param {HTMLElement} to - The option the range ends at
+   */
+  #selectRange(from, to) {
+    if (this.virtual) {
+      const start = this.#getViewPosition(from);
+      const end = this.#getViewPosition(to);
+      if (start === -1 || end === -1) return;
+
+      const range = this.#view
+        .slice(Math.min(start, end), Math.max(start, end) + 1)
+        .map((index) => this.#records[index])
+        .filter((record) => !record.disabled);
+      this.#commitRecords([...this.#selectedRecords, ...range]);
+      return;
+    }
+
+    const options = [...this.querySelectorAll(CUSTOM_OPTION_SELECTOR)];
+    const start = options.indexOf(from);
+    const end = options.indexOf(to);
+    if (start === -1 || end === -1) return;
+
+    const range = options.slice(Math.min(start, end), Math.max(start, end) + 1);
+    this.#commitSelection([...this.#selectedItems, ...range]);
+  }
+
+  #toggleAll() {
+    if (this.virtual) {
+      // Select the listed records, so only the rendered window gets elements
+      const records = this.#view
+        .map((index) => this.#records[index])
+        .filter((record) => !record.disabled);
+      const selected = new Set(this.selectedValues);
+      const allSelected = records.every((record) => selected.has(String(record.value)));
+      this.#commitRecords(allSelected ? [] : records);
+      return;
+    }
+
+    const options = /** @type {HTMLElement[]} */ ([
+      ...this.querySelectorAll(CUSTOM_OPTION_SELECTOR),
+    ]);
+    const allSelected = options.every((option) =>
+      this.#selectedItems.includes(option)
+    );
+    this.#commitSelection(allSelected ? [] : options);
+  }
+
+  /**
+   * Applies the selection and dispatches a change event if it differs from the current one
+   * @param {HTMLElement[]} items - The options that should be selected
+   * @param {HTMLElement | null} [option] - The option the user acted on, if any
+   */
+  #commitSelection(items, option = null) {
+    if (this.virtual) {
+      this.#commitRecords(items.map((item) => this.#getOptionRecord(item)), option);
+      return;
+    }
+
+    const ordered = this.#orderItems(items);
+    const isUnchanged =
+      this.#customValue === null &&
+      ordered.length === this.#selectedItems.length &&
+      ordered.every((item, index) => item === this.#selectedItems[index]);
+    if (isUnchanged) return;
+
+    const values = ordered.map((item) => item.getAttribute("value"));
+    if (!this.#requestChange(values, option)) return;
+
+    this.#applySelection(ordered);
+    this.#dispatchChange(this.selectedValues);
+  }
+
+  /**
+   * Applies the records as the selection of a virtual select and dispatches a change event if it differs
+   * @param {OptionRecord[]} records - The records that should be selected
+   * @param {HTMLElement | null} [option] - The option the user acted on, if any
+   */
+  #commitRecords(records, option = null) {
+    const ordered = this.#orderRecords(records);
+    const values = ordered.map((record) => String(record.value));
+    const isUnchanged =
+      this.#customValue === null &&
+      values.length === this.#selectedRecords.length &&
+      values.every((value, index) => value === String(this.#selectedRecords[index].value));
+    if (isUnchanged) return;
+
+    if (!this.#requestChange(values, option)) return;
+
+    this.#applyRecords(ordered);
+    this.#dispatchChange(this.selectedValues);
+  }
+
+  /**
+   * Accepts text that matches no option as the value of an allow-custom select
+   * @param {string} text - The typed value
+   */
+  #commitCustomValue(text) {
+    if (this.#customValue === text) return;
+    if (!this.#requestChange([text], null)) return;
+
+    this.#applyCustomValue(text);
+    this.#dispatchChange(this.selectedValues);
+  }
+
+  /**
+   * Makes text that matches no option the value without dispatching a change event
+   * @param {string} text - The custom value
+   */
+  #applyCustomValue(text) {
+    this.#applySelection([]);
+    this.#customValue = text;
+    this.#updateTrigger();
+    this.#updateFormValue();
+  }
+
+  /**
+   * Dispatches a cancelable beforechange event for a selection change
+   * A controlled select reports the change without applying it and waits for the host
+   * @param {string[]} values - The values that would be selected
+   * @param {HTMLElement | null} option - The option the user acted on, if any
+   * @returns {boolean} Whether the change should be applied
+   */
+  #requestChange(values, option) {
+    const isAllowed = this.dispatchEvent(
+      new CustomEvent("beforechange", {
+        bubbles: true,
+        cancelable: true,
+        detail: {
+          oldValue: this.selectedValue,
+          newValue: values[0] ?? null,
+          oldValues: this.selectedValues,
+          newValues: values,
+          option,
+        },
+      })
+    );
+
+    if (isAllowed && this.controlled) {
+      this.#dispatchChange(values);
+    }
+    if (!isAllowed || this.controlled) {
+      // Restore the trigger, which may show text typed for the rejected value
+      this.#updateTrigger();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @param {string[]} values - The selected values, or the requested ones when controlled
+   */
+  #dispatchChange(values) {
+    this.dispatchEvent(
+      new CustomEvent("change", {
+        bubbles: true,
+        detail: { value: values[0] ?? null, values },
+      })
+    );
+  }
+
+  /**
+   * Dispatches open or close, then toggle with the old and new state
+   * @param {boolean} isOpen
+   */
+  #dispatchToggle(isOpen) {
+    this.dispatchEvent(new CustomEvent(isOpen ? "open" : "close", { bubbles: true }));
+    this.dispatchEvent(
+      new CustomEvent("toggle", {
+        bubbles: true,
+        detail: {
+          oldState: isOpen ? "closed" : "open",
+          newState: isOpen ? "open" : "closed",
+        },
+      })
+    );
+  }
+
+  /**
+   * Makes the given options the selected ones without dispatching a change event
+   * @param {HTMLElement[]} items - The options to select, empty to clear
+   */
+  #applySelection(items) {
+    if (this.virtual) {
+      this.#applyRecords(items.map((item) => this.#getOptionRecord(item)));
+      return;
+    }
+
+    const selected = this.#orderItems(items);
+
+    const previous = this.#selectedItems;
+    this.#selectedItems = selected;
+    this.#syncSelectedAttributes([
+      ...this.querySelectorAll("custom-option"),
+      ...previous,
+      ...selected,
+    ]);
+
+    this.#customValue = null;
+    this.#updateTrigger();
+    this.#updateFormValue();
+  }
+
+  /**
+   * Makes the given records the selection of a virtual select without dispatching a change event
+   * @param {OptionRecord[]} records - The records to select, empty to clear
+   */
+  #applyRecords(records) {
+    this.#selectedRecords = this.#orderRecords(records);
+    this.#syncSelectedAttributes([
+      ...this.querySelectorAll("custom-option"),
+      ...this.#optionCache.values(),
+    ]);
+
+    this.#customValue = null;
+    this.#updateTrigger();
+    this.#updateFormValue();
+  }
+
+  /**
+   * Reflects the current selection on the given options
+   * @param {HTMLElement[]} options
+   */
+  #syncSelectedAttributes(options) {
+    const isMultiple = this.multiple;
+    const selectedValues = new Set(
+      this.#selectedRecords.map((record) => String(record.value))
+    );
+
+    new Set(options).forEach((option) => {
+      const isSelected = this.virtual
+        ? selectedValues.has(option.getAttribute("value"))
+        : this.#selectedItems.includes(option);
+      option.toggleAttribute("selected", isSelected);
+      if (isSelected || isMultiple) {
+        option.setAttribute("aria-selected", isSelected.toString());
+      } else {
+        option.removeAttribute("aria-selected");
+      }
+    });
+  }
+
+  /**
+   * Removes duplicates and sorts options in list order
+   * @param {HTMLElement[]} items
+   * @returns {HTMLElement[]}
+   */
+  #orderItems(items) {
+    const unique = new Set(items);
+    const rendered = [...this.querySelectorAll("custom-option")].filter(
+      (option) => unique.has(option)
+    );
+    // Options a loadOptions provider no longer renders stay selected in their given order
+    const detached = [...unique].filter((item) => !this.contains(item));
+    return [...rendered, ...detached];
+  }
+
+  /**
+   * Removes records with the same value and sorts them in record order
+   * Records the current records no longer list stay selected in their given order
+   * @param {OptionRecord[]} records
+   * @returns {OptionRecord[]}
+   */
+  #orderRecords(records) {
+    const unique = new Map(records.map((record) => [String(record.value), record]));
+    const indexOf = (value) => this.#recordIndexByValue.get(value) ?? Infinity;
+    return [...unique]
+      .sort(([a], [b]) => indexOf(a) - indexOf(b))
+      .map(([, record]) => record);
+  }
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {OptionRecord} The record of the option, or one read from it when the records do not list it
+   */
+  #getOptionRecord(option) {
+    const value = option.getAttribute("value");
+    const index = this.#recordIndexByValue.get(value);
+    return index === undefined
+      ? { value, label: this.#getOptionLabel(option) }
+      : this.#records[index];
+  }
+
+  /**
+   * @param {HTMLElement} option
+   * @returns {boolean} Whether the option or its custom-optgroup is disabled
+   */
+  #isOptionDisabled(option) {
+    return !option.matches(CUSTOM_OPTION_SELECTOR);
+  }
+
+  /**
+   * @param {string} value
+   * @returns {HTMLElement | null} The enabled option with the value
+   */
+  #getOptionByValue(value) {
+    if (this.virtual) {
+      const index = this.#recordIndexByValue.get(String(value));
+      if (index === undefined || this.#records[index].disabled) return null;
+      return this.#getRecordOption(index);
+    }
+
+    return /** @type {HTMLElement | null} */ (
+      this.querySelector(`${CUSTOM_OPTION_SELECTOR}[value="${CSS.escape(String(value))}"]`)
+    );
+  }
+
+  #getOptionsByValues(values) {
+    return values
+      .map((value) => this.#getOptionByValue(value))
+      .filter((item) => item !== null);
+  }
+
+  #updateMultiple() {
+    this.querySelector("custom-group")?.setAttribute(
+      "aria-multiselectable",
+      this.multiple.toString()
+    );
+
+    // Re-apply so aria-selected matches the mode; skipped before initialization
+    if (this.virtual) {
+      if (this.#selectedRecords.length > 0) {
+        this.#applyRecords(
+          this.multiple ? this.#selectedRecords : this.#selectedRecords.slice(0, 1)
+        );
+      }
+    } else if (this.#selectedItems.length > 0) {
+      this.#applySelection(
+        this.multiple ? this.#selectedItems : this.#selectedItems.slice(0, 1)
       );
     }
   }
 
   #updateTrigger() {
     const trigger = this.querySelector("custom-trigger");
-    if (trigger && this.#selectedItem) {
-      trigger.textContent = this.#selectedItem.textContent;
-      trigger.setAttribute(
-        "aria-label",
-        `Selected: ${this.#selectedItem.textContent}`
+    if (!trigger) return;
+
+    if (this.#placeholder === null) {
+      this.#placeholder = trigger.textContent;
+      this.#placeholderContent = document.createDocumentFragment();
+      this.#placeholderContent.append(
+        ...[...trigger.childNodes].map((node) => node.cloneNode(true))
+      );
+    }
+
+    // The typed text is the value of an editable combobox, not its name
+    if (this.searchable) {
+      trigger.dataset.placeholder = this.#placeholder;
+      trigger.removeAttribute("aria-label");
+
+      // Leave the text alone while the user is typing a query
+      if (this.hasAttribute("open")) return;
+    } else {
+      delete trigger.dataset.placeholder;
+    }
+
+    const labels = this.virtual
+      ? this.#selectedRecords.map((record) => this.#getRecordLabel(record))
+      : this.#selectedItems.map((item) => this.#getOptionLabel(item));
+
+    if (this.#customValue !== null) {
+      trigger.textContent = this.#customValue;
+      trigger.removeAttribute("aria-label");
+    } else if (labels.length === 1) {
+      // An editable trigger holds the text the user edits, so it never renders rich content
+      if (this.searchable) {
+        trigger.textContent = labels[0];
+      } else {
+        trigger.replaceChildren(this.#renderTriggerContent(this.#selectedItem));
+      }
+      trigger.setAttribute("aria-label", `Selected: ${labels[0]}`);
+    } else if (labels.length > 1) {
+      trigger.textContent = `${labels.length} selected`;
+      trigger.setAttribute("aria-label", `Selected: ${labels.join(", ")}`);
+    } else if (this.searchable) {
+      trigger.textContent = "";
+      trigger.removeAttribute("aria-label");
+    } else {
+      trigger.replaceChildren(this.#placeholderContent.cloneNode(true));
+      trigger.removeAttribute("aria-label");
+    }
+
+    if (this.searchable) {
+      trigger.removeAttribute("aria-label");
+    }
+  }
+
+  /**
+   * Renders the selected option for the trigger with the renderTrigger callback,
+   * a template child of the select, a copy of the option content when
+   * trigger-display="content", or else its plain label
+   * @param {HTMLElement} option
+   * @returns {Node | string}
+   */
+  #renderTriggerContent(option) {
+    const template = /** @type {HTMLTemplateElement | null} */ (
+      this.querySelector(":scope > template")
+    );
+    let content = null;
+
+    if (this.#renderTrigger) {
+      content = this.#renderTrigger(option);
+    } else if (template) {
+      content = this.#fillTriggerTemplate(template, option);
+    } else if (this.getAttribute("trigger-display") === "content") {
+      content = this.#cloneOptionContent(option.childNodes);
+    }
+
+    return content ?? this.#getOptionLabel(option);
+  }
+
+  /**
+   * Fills the elements of the template marked with data-slot with copies of the
+   * option children in the slot of that name; the label slot falls back to the label text
+   * @param {HTMLTemplateElement} template
+   * @param {HTMLElement} option
+   * @returns {DocumentFragment}
+   */
+  #fillTriggerTemplate(template, option) {
+    const fragment = /** @type {DocumentFragment} */ (
+      template.content.cloneNode(true)
+    );
+
+    fragment.querySelectorAll("[data-slot]").forEach((target) => {
+      const name = target.getAttribute("data-slot");
+      const assigned = option.querySelectorAll(
+        `:scope > [slot="${CSS.escape(name)}"]`
+      );
+
+      if (assigned.length > 0) {
+        target.replaceChildren(this.#cloneOptionContent(assigned));
+      } else if (name === "label") {
+        target.textContent = this.#getOptionLabel(option);
+      }
+    });
+    return fragment;
+  }
+
+  /**
+   * Copies option nodes for the trigger without their ids, which must stay unique
+   * @param {Iterable<Node>} nodes
+   * @returns {DocumentFragment}
+   */
+  #cloneOptionContent(nodes) {
+    const fragment = document.createDocumentFragment();
+    for (const node of nodes) {
+      const clone = node.cloneNode(true);
+      if (clone instanceof Element) {
+        clone.removeAttribute("id");
+        clone.removeAttribute("slot");
+        clone.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+      }
+      fragment.append(clone);
+    }
+    return fragment;
+  }
+
+  #updateFormValue() {
+    if (!this.#internals) return;
+
+    if (this.multiple) {
+      const data = new FormData();
+      if (this.name) {
+        this.selectedValues.forEach((value) => data.append(this.name, value));
+      }
+      this.#internals.setFormValue(data);
+    } else {
+      this.#internals.setFormValue(this.selectedValue);
+    }
+    this.#updateValidity();
+  }
+
+  #updateValidity() {
+    if (!this.#internals) return;
+
+    if (this.required && this.selectedValue === null) {
+      this.#internals.setValidity(
+        { valueMissing: true },
+        "Please select an item in the list.",
+        this.querySelector("custom-trigger") ?? undefined
       );
+    } else {
+      this.#internals.setValidity({});
     }
   }
 
   #focusItem(item) {
     if (!item) return;
-    if (item.hasAttribute("disabled")) return;
+    if (this.#isOptionDisabled(item)) return;
+
+    if (this.virtual) {
+      this.#scrollToOption(item);
+    }
+
+    if (this.searchable) {
+      this.#setActiveItem(item);
+      return;
+    }
+
+    if (this.virtual) {
+      this.#setActiveItem(item);
+      this.querySelector("custom-group")?.focus({ preventScroll: true });
+      return;
+    }
 
     item.scrollIntoView({ block: "nearest", behavior: "smooth" });
     item.focus();
   }
+
+  /**
+   * Marks an option as active without moving DOM focus onto it
+   * The trigger of a searchable select, or the group of a virtual one, keeps focus
+   * @param {HTMLElement | null} item - The option to activate, or null to clear
+   */
+  #setActiveItem(item) {
+    this.querySelector("custom-option[active]")?.removeAttribute("active");
+    this.#focusedItem?.removeAttribute("active");
+    this.#focusedItem = item;
+
+    const host = this.searchable
+      ? this.querySelector("custom-trigger")
+      : this.querySelector("custom-group");
+    if (!item) {
+      host?.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    item.setAttribute("active", "");
+    item.scrollIntoView({ block: "nearest" });
+    host?.setAttribute("aria-activedescendant", item.id);
+  }
 }
 
 /**
  * Represents an option in the custom select
  */
 class CustomOption extends HTMLElement {
+  /** @type {["disabled", "label"]} */
+  static get observedAttributes() {
+    return ["disabled", "label"];
+  }
+
+  /**
+   * The plain text label: the label attribute, the text of the child in
+   * slot="label", or else the whole text content
+   * @returns {string}
+   */
+  get label() {
+    return (
+      this.getAttribute("label") ??
+      this.querySelector(":scope > [slot=label]")?.textContent.trim() ??
+      this.textContent.trim()
+    );
+  }
+
+  set label(label) {
+    this.setAttribute("label", label);
+  }
+
   connectedCallback() {
     if (!this.hasAttribute("value")) {
-      this.setAttribute("value", this.textContent.trim());
+      this.setAttribute("value", this.label);
+    }
+
+    // Referenced by aria-activedescendant in searchable selects
+    if (!this.id) {
+      this.id = `custom-option-${++idCounter}`;
     }
 
     this.setAttribute("role", "option");
     this.setAttribute("tabindex", "-1");
+    this.#updateAccessibleName();
+  }
+
+  /**
+   * @param {"disabled" | "label"} name
+   */
+  attributeChangedCallback(name) {
+    if (name === "disabled" && this.hasAttribute("disabled")) {
+      this.setAttribute("aria-disabled", "true");
+    } else if (name === "disabled") {
+      this.removeAttribute("aria-disabled");
+    } else if (name === "label" && this.isConnected) {
+      this.#updateAccessibleName();
+      // The select shows the label in the trigger while the option is selected
+      this.dispatchEvent(new CustomEvent("_custom-option-label-change", { bubbles: true }));
+    }
+  }
+
+  // Rich content would otherwise be read out in full, descriptions and all
+  #updateAccessibleName() {
+    const hasLabel =
+      this.hasAttribute("label") || this.querySelector(":scope > [slot=label]");
+    if (hasLabel) {
+      this.setAttribute("aria-label", this.label);
+    } else {
+      this.removeAttribute("aria-label");
+    }
+  }
+}
+
+/**
+ * Groups options under a labelled heading
+ * Disabling the group disables all of its options
+ */
+class CustomOptgroup extends HTMLElement {
+  /** @type {["label", "disabled"]} */
+  static get observedAttributes() {
+    return ["label", "disabled"];
+  }
+
+  connectedCallback() {
+    this.setAttribute("role", "group");
+    this.#updateLabel();
+  }
+
+  /**
+   * @param {"label" | "disabled"} name
+   */
+  attributeChangedCallback(name) {
+    if (name === "label") {
+      this.#updateLabel();
+    } else if (name === "disabled") {
+      this.setAttribute("aria-disabled", this.hasAttribute("disabled").toString());
+    }
+  }
+
+  #updateLabel() {
+    const label = this.getAttribute("label");
+    if (label) {
+      this.setAttribute("aria-label", label);
+    } else {
+      this.removeAttribute("aria-label");
+    }
+  }
+}
+
+/**
+ * Visually separates options or option groups
+ */
+class CustomSeparator extends HTMLElement {
+  connectedCallback() {
+    // A listbox may only own options and groups, so keep the separator out of the tree
+    this.setAttribute("role", "none");
+    this.setAttribute("aria-hidden", "true");
   }
 }
 
@@ -293,6 +2243,16 @@ class CustomGroup extends HTMLElement {
   }
 }
 
+/**
+ * Announces loading, error and empty states of a select with a loadOptions provider
+ */
+class CustomStatus extends HTMLElement {
+  connectedCallback() {
+    this.setAttribute("role", "status");
+    this.setAttribute("aria-live", "polite");
+  }
+}
+
 /**
  * Represents an icon container for the custom select
  * This element is always visible regardless of selection state
@@ -311,5 +2271,17 @@ customElements.define("custom-option", CustomOption);
 customElements.define("custom-trigger", CustomTrigger);
 customElements.define("custom-group", CustomGroup);
 customElements.define("custom-icon", CustomIcon);
+customElements.define("custom-status", CustomStatus);
+customElements.define("custom-optgroup", CustomOptgroup);
+customElements.define("custom-separator", CustomSeparator);
 
-export { CustomSelect, CustomOption, CustomTrigger, CustomGroup, CustomIcon };
+export {
+  CustomSelect,
+  CustomOption,
+  CustomTrigger,
+  CustomGroup,
+  CustomIcon,
+  CustomStatus,
+  CustomOptgroup,
+  CustomSeparator,
+};
@@ -3,11 +3,19 @@ import {
   CustomOption,
   CustomTrigger,
   CustomGroup,
+  CustomStatus,
+  CustomOptgroup,
+  CustomSeparator,
 } from "./Select/custom-select";
 
 import {
   InputRoot,
   InputText,
+  InputDate,
+  InputCheckbox,
+  InputSwitch,
+  InputRadioGroup,
+  InputRadio,
   InputSlider,
   InputSliderTrack,
   InputSliderThumb,
@@ -19,8 +27,16 @@ declare global {
     "custom-option": CustomOption;
     "custom-trigger": CustomTrigger;
     "custom-group": CustomGroup;
+    "custom-status": CustomStatus;
+    "custom-optgroup": CustomOptgroup;
+    "custom-separator": CustomSeparator;
     "input-root": InputRoot;
     "input-text": InputText;
+    "input-date": InputDate;
+    "input-checkbox": InputCheckbox;
+    "input-switch": InputSwitch;
+    "input-radio-group": InputRadioGroup;
+    "input-radio": InputRadio;
     "input-slider": InputSlider;
     "input-slider-track": InputSliderTrack;
     "input-slider-thumb": InputSliderThumb;
@@ -0,0 +1,162 @@
+/**
+ * Calendar dates without a time zone, like the values of date inputs.
+ * @typedef {Object} DateParts
+ * @property {number} year - The full year.
+ * @property {number} month - The month, from 1 to 12.
+ * @property {number} day - The day of the month, from 1.
+ */
+
+/**
+ * @typedef {Object} TimeParts
+ * @property {number} hour - The hour, from 0 to 23.
+ * @property {number} minute - The minute, from 0 to 59.
+ */
+
+/**
+ * Pads a number with leading zeros.
+ * @param {number} number - The number to pad.
+ * @param {number} [length=2] - The minimum number of digits.
+ * @returns {string}
+ */
+function pad(number, length = 2) {
+  return String(number).padStart(length, "0");
+}
+
+/**
+ * Creates a Date at midnight UTC of a calendar date, also for years before 100.
+ * Format it with `timeZone: "UTC"` to get the same date back.
+ * @param {DateParts} date - The date to convert.
+ * @returns {Date}
+ */
+export function toUtcDate({ year, month, day }) {
+  const utcDate = new Date(0);
+  utcDate.setUTCFullYear(year, month - 1, day);
+  return utcDate;
+}
+
+/**
+ * Reads the calendar date of a Date created by toUtcDate.
+ * @param {Date} utcDate - The date to read.
+ * @returns {DateParts}
+ */
+export function fromUtcDate(utcDate) {
+  return {
+    year: utcDate.getUTCFullYear(),
+    month: utcDate.getUTCMonth() + 1,
+    day: utcDate.getUTCDate(),
+  };
+}
+
+/**
+ * @param {number} year - The full year.
+ * @param {number} month - The month, from 1 to 12.
+ * @returns {number} The number of days in the month.
+ */
+export function getDaysInMonth(year, month) {
+  return fromUtcDate(toUtcDate({ year, month: month + 1, day: 0 })).day;
+}
+
+/**
+ * Parses a date string like "2024-02-29".
+ * @param {string} text - The string to parse.
+ * @returns {DateParts | null} The date, or null when the string is not a valid date.
+ */
+export function parseIsoDate(text) {
+  const match = /^(\d{4,})-(\d{2})-(\d{2})$/.exec(text ?? "");
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (year < 1 || month < 1 || month > 12) return null;
+  if (day < 1 || day > getDaysInMonth(year, month)) return null;
+  return { year, month, day };
+}
+
+/**
+ * @param {DateParts} date - The date to format.
+ * @returns {string} The date as a string like "2024-02-29".
+ */
+export function formatIsoDate({ year, month, day }) {
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parses a time string like "13:45" or "13:45:30", ignoring seconds.
+ * @param {string} text - The string to parse.
+ * @returns {TimeParts | null} The time, or null when the string is not a valid time.
+ */
+export function parseIsoTime(text) {
+  const match = /^(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(text ?? "");
+  if (!match) return null;
+
+  const [hour, minute] = match.slice(1).map(Number);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * @param {TimeParts} time - The time to format.
+ * @returns {string} The time as a string like "13:45".
+ */
+export function formatIsoTime({ hour, minute }) {
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * @param {DateParts} date - The date to move.
+ * @param {number} days - Number of days to move, negative to move back.
+ * @returns {DateParts}
+ */
+export function addDays(date, days) {
+  const utcDate = toUtcDate(date);
+  utcDate.setUTCDate(utcDate.getUTCDate() + days);
+  return fromUtcDate(utcDate);
+}
+
+/**
+ * Moves a date by months, keeping the day within the new month, so Jan 31 plus one
+ * month is the last day of February.
+ * @param {DateParts} date - The date to move.
+ * @param {number} months - Number of months to move, negative to move back.
+ * @returns {DateParts}
+ */
+export function addMonths({ year, month, day }, months) {
+  const index = year * 12 + (month - 1) + months;
+  const newYear = Math.floor(index / 12);
+  const newMonth = index - newYear * 12 + 1;
+  return {
+    year: newYear,
+    month: newMonth,
+    day: Math.min(day, getDaysInMonth(newYear, newMonth)),
+  };
+}
+
+/**
+ * @param {DateParts} date - The date to look up.
+ * @returns {number} The day of the week, from 0 for Sunday to 6 for Saturday.
+ */
+export function getWeekday(date) {
+  return toUtcDate(date).getUTCDay();
+}
+
+/**
+ * @param {DateParts} date - The date to compare.
+ * @param {DateParts} other - The date to compare with.
+ * @returns {number} Negative when date is before other, positive when after, 0 when the same.
+ */
+export function compareDates(date, other) {
+  return (
+    date.year - other.year || date.month - other.month || date.day - other.day
+  );
+}
+
+/**
+ * @returns {DateParts} The date of today in the local time zone.
+ */
+export function getToday() {
+  const now = new Date();
+  return {
+    year: now.getFullYear(),
+    month: now.getMonth() + 1,
+    day: now.getDate(),
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * @typedef {Object} MaskToken
+ * @property {RegExp} pattern - Matches a single character the token accepts.
+ * @property {(char: string) => string} [transform] - Changes an accepted character, like upper-casing it.
+ */
+
+/**
+ * @typedef {{ token: MaskToken, literal?: undefined } | { literal: string, token?: undefined }} MaskSlot
+ */
+
+/**
+ * @typedef {Object} MaskResult
+ * @property {string} raw - The characters typed into token slots.
+ * @property {string} formatted - The raw characters with the literals of the mask around them.
+ * @property {number[]} rawEnds - Index in the formatted text after each raw character.
+ * @property {boolean} isComplete - Whether every token slot is filled.
+ */
+
+/**
+ * Tokens available in every mask: 0 for a digit, a for a letter, A for a letter
+ * turned upper case and * for a letter or digit.
+ * @type {Record<string, MaskToken>}
+ */
+export const DEFAULT_MASK_TOKENS = {
+  0: { pattern: /\d/ },
+  a: { pattern: /\p{L}/u },
+  A: { pattern: /\p{L}/u, transform: (char) => char.toUpperCase() },
+  "*": { pattern: /[\p{L}\d]/u },
+};
+
+/**
+ * Parses a mask like "(000) 000-0000" into slots. Characters that are not tokens are
+ * literals, and a backslash turns the next character into a literal.
+ * @param {string} mask - The mask to parse.
+ * @param {Record<string, MaskToken>} [tokens] - The tokens of the mask.
+ * @returns {MaskSlot[]}
+ */
+export function parseMask(mask, tokens = DEFAULT_MASK_TOKENS) {
+  const chars = [...mask];
+  const slots = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] === "\\" && i + 1 < chars.length) {
+      slots.push({ literal: chars[++i] });
+    } else if (Object.hasOwn(tokens, chars[i])) {
+      slots.push({ token: tokens[chars[i]] });
+    } else {
+      slots.push({ literal: chars[i] });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Fits text into the slots of a mask. Both raw text like "5551234" and formatted text
+ * like "(555) 123-4" are accepted. Characters that fit no slot are dropped, and literals
+ * are only added once a character follows them, so deleting backwards is not blocked.
+ * @param {string} text - The text to fit.
+ * @param {MaskSlot[]} slots - The slots from parseMask.
+ * @returns {MaskResult}
+ */
+export function conformToMask(text, slots) {
+  let raw = "";
+  let formatted = "";
+  let pendingLiterals = "";
+  let slotIndex = 0;
+  const rawEnds = [];
+
+  for (const char of text) {
+    // Literals typed by the user are kept, others are skipped up to the next token
+    let index = slotIndex;
+    let skippedLiterals = "";
+    while (index < slots.length && slots[index].literal !== undefined) {
+      if (slots[index].literal === char) break;
+      skippedLiterals += slots[index].literal;
+      index++;
+    }
+    if (index >= slots.length) break;
+
+    const slot = slots[index];
+    if (slot.literal !== undefined) {
+      pendingLiterals += skippedLiterals + char;
+      slotIndex = index + 1;
+      continue;
+    }
+
+    if (!slot.token.pattern.test(char)) continue;
+
+    const accepted = slot.token.transform?.(char) ?? char;
+    formatted += pendingLiterals + skippedLiterals + accepted;
+    raw += accepted;
+    rawEnds.push(formatted.length);
+    pendingLiterals = "";
+    slotIndex = index + 1;
+  }
+
+  const remaining = slots.slice(slotIndex);
+  const isComplete = remaining.every((slot) => slot.literal !== undefined);
+  if (isComplete && raw) {
+    // A complete value shows the literals closing the mask, like a trailing ")"
+    formatted += remaining.map((slot) => slot.literal).join("");
+  }
+
+  return { raw, formatted, rawEnds, isComplete };
+}
@@ -0,0 +1,57 @@
+/**
+ * Counts the decimals of a number, including those of exponent notation like 1e-7.
+ * @param {number} number - The number to inspect.
+ * @returns {number}
+ */
+export function getDecimals(number) {
+  const [, fraction = "", exponent = "0"] =
+    /(?:\.(\d+))?(?:e([+-]?\d+))?$/.exec(String(number)) ?? [];
+  return Math.max(0, fraction.length - Number(exponent));
+}
+
+/**
+ * Rounds a number to a number of decimals, removing floating-point drift such as
+ * 0.1 + 0.2 = 0.30000000000000004.
+ * @param {number} number - The number to round.
+ * @param {number} decimals - The number of decimals to keep.
+ * @returns {number}
+ */
+export function roundToDecimals(number, decimals) {
+  return Number(number.toFixed(Math.min(decimals, 100)));
+}
+
+/**
+ * Finds the decimal and grouping separators of a locale.
+ * @param {string} [locale] - The locale, defaults to the browser locale.
+ * @returns {{ decimal: string, group: string }}
+ */
+export function getNumberSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    decimal: parts.find((part) => part.type === "decimal")?.value ?? ".",
+    group: parts.find((part) => part.type === "group")?.value ?? ",",
+  };
+}
+
+/**
+ * Parses text written with the separators of a locale, like "1.234,5" in German.
+ * @param {string} text - The text to parse.
+ * @param {string} [locale] - The locale, defaults to the browser locale.
+ * @returns {number | null} The number, NaN for empty text, or null when the text is not a number.
+ */
+export function parseLocaleNumber(text, locale) {
+  const { decimal, group } = getNumberSeparators(locale);
+  // Grouping may use a (narrow) no-break space that users type as a regular one
+  const isSpaceGroup = /\s/.test(group);
+
+  let normalized = text.trim().replace(/−/g, "-");
+  normalized = normalized.split(group).join("");
+  if (isSpaceGroup) {
+    normalized = normalized.replace(/\s/g, "");
+  }
+  normalized = normalized.split(decimal).join(".");
+
+  if (normalized === "") return NaN;
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized)) return null;
+  return Number(normalized);
+}
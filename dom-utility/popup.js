@@ -0,0 +1,119 @@
+/**
+ * @typedef {Object} PopupOptions
+ * @property {"bottom" | "top"} [placement="bottom"] - Preferred side of the anchor.
+ * @property {number} [offset=0] - Gap between anchor and popup in pixels.
+ * @property {number} [padding=8] - Minimum distance to the viewport edges in pixels.
+ * @property {boolean} [matchWidth=true] - Whether the popup is at least as wide as the anchor.
+ */
+
+const supportsPopover = Object.prototype.hasOwnProperty.call(
+  HTMLElement.prototype,
+  "popover"
+);
+
+/**
+ * Positions a popup next to an anchor element and keeps it there until released.
+ * The popup is promoted to the top layer with the Popover API where supported, so
+ * `overflow: hidden` ancestors cannot clip it. It flips to the other side of the anchor
+ * when there is more room there, shifts horizontally to stay inside the viewport and
+ * exposes the height it may use as the `--popup-available-height` custom property.
+ * @param {HTMLElement} popup - The element to position. Must be connected.
+ * @param {HTMLElement} anchor - The element to position the popup against.
+ * @param {PopupOptions} [options]
+ * @returns {() => void} Releases the popup and restores its styles.
+ */
+export function anchorPopup(popup, anchor, options = {}) {
+  const { placement = "bottom", offset = 0, padding = 8, matchWidth = true } =
+    options;
+
+  if (supportsPopover) {
+    popup.popover = "manual";
+    popup.showPopover();
+  }
+
+  popup.style.position = "fixed";
+  popup.style.margin = "0";
+  popup.style.inset = "auto";
+
+  let frame = 0;
+
+  const update = () => {
+    frame = 0;
+
+    const anchorRect = anchor.getBoundingClientRect();
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = document.documentElement.clientHeight;
+
+    if (matchWidth) {
+      popup.style.minWidth = `${anchorRect.width}px`;
+    }
+
+    // Measure the height the popup wants before limiting it to the available space
+    popup.style.removeProperty("--popup-available-height");
+    const height = popup.offsetHeight;
+
+    const spaceBelow = viewportHeight - anchorRect.bottom - offset - padding;
+    const spaceAbove = anchorRect.top - offset - padding;
+
+    let side = placement;
+    if (side === "bottom" && height > spaceBelow && spaceAbove > spaceBelow) {
+      side = "top";
+    } else if (side === "top" && height > spaceAbove && spaceBelow > spaceAbove) {
+      side = "bottom";
+    }
+
+    const available = Math.max(0, side === "bottom" ? spaceBelow : spaceAbove);
+    popup.style.setProperty("--popup-available-height", `${available}px`);
+
+    const top =
+      side === "bottom"
+        ? anchorRect.bottom + offset
+        : anchorRect.top - offset - Math.min(height, available);
+    const maxLeft = Math.max(
+      padding,
+      viewportWidth - padding - popup.offsetWidth
+    );
+    const left = Math.min(Math.max(anchorRect.left, padding), maxLeft);
+
+    popup.style.top = `${top}px`;
+    popup.style.left = `${left}px`;
+    popup.dataset.placement = side;
+  };
+
+  const scheduleUpdate = (event) => {
+    // Scrolling inside the popup does not move it
+    if (event?.type === "scroll" && popup.contains(event.target)) return;
+    if (!frame) {
+      frame = window.requestAnimationFrame(update);
+    }
+  };
+
+  const resizeObserver = new ResizeObserver(() => scheduleUpdate());
+  resizeObserver.observe(anchor);
+  resizeObserver.observe(popup);
+  window.addEventListener("scroll", scheduleUpdate, {
+    capture: true,
+    passive: true,
+  });
+  window.addEventListener("resize", scheduleUpdate, { passive: true });
+
+  update();
+
+  return () => {
+    window.cancelAnimationFrame(frame);
+    resizeObserver.disconnect();
+    window.removeEventListener("scroll", scheduleUpdate, { capture: true });
+    window.removeEventListener("resize", scheduleUpdate);
+
+    if (supportsPopover && popup.matches(":popover-open")) {
+      popup.hidePopover();
+    }
+    popup.removeAttribute("popover");
+
+    const properties = ["position", "margin", "inset", "top", "left", "min-width"];
+    for (const property of [...properties, "--popup-available-height"]) {
+      popup.style.removeProperty(property);
+    }
+    delete popup.dataset.placement;
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Folds text for case- and diacritic-insensitive comparison.
+ * @param {string} text - The text to fold.
+ * @returns {string}
+ */
+export function foldText(text) {
+  return text.normalize("NFD").replace(/\p{Diacritic}/gu, "").toLowerCase();
+}
+
+/**
+ * Finds the first case- and diacritic-insensitive occurrence of a query in the text of an element.
+ * @param {Element} element - The element whose text nodes are searched.
+ * @param {string} query - The text to look for.
+ * @returns {Range | null} A range spanning the match, or null when there is none.
+ */
+export function findTextRange(element, query) {
+  const needle = foldText(query);
+  if (!needle) return null;
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  /** @type {{ node: Text, offset: number }[]} */
+  const positions = [];
+  let haystack = "";
+
+  // Fold character by character so every folded index maps back to a source position
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const text = /** @type {Text} */ (node);
+    for (let offset = 0; offset < text.data.length; offset++) {
+      const folded = foldText(text.data[offset]);
+      haystack += folded;
+      for (let i = 0; i < folded.length; i++) {
+        positions.push({ node: text, offset });
+      }
+    }
+  }
+
+  const index = haystack.indexOf(needle);
+  if (index === -1) return null;
+
+  const start = positions[index];
+  const end = positions[index + needle.length - 1];
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset + 1);
+  return range;
+}
@@ -3,3 +3,22 @@ export function wait() {
     window.requestAnimationFrame(resolve);
   });
 }
+
+/**
+ * Creates a function that delays calling the callback until it has not been called for the given time.
+ * @template {any[]} A
+ * @param {(...args: A) => void} callback - The function to call.
+ * @param {number} delay - Milliseconds to wait after the last call.
+ * @returns {((...args: A) => void) & { cancel: () => void }}
+ */
+export function debounce(callback, delay) {
+  let timer = null;
+
+  const debounced = (/** @type {A} */ ...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => callback(...args), delay);
+  };
+  debounced.cancel = () => clearTimeout(timer);
+
+  return debounced;
+}
@@ -37,4 +37,34 @@ export function getSiblingOfSameTag(element, direction, test = "") {
       return sibling;
     }
   } while (true);
-}
\ No newline at end of file
+}
+
+/**
+ * Utility function that finds the next/previous descendant matching a selector, with looping.
+ * Unlike getSiblingOfSameTag it crosses parent boundaries, e.g. between groups of items.
+ * @param {Element} root - The element whose descendants are searched.
+ * @param {Element} element - The reference element, which does not have to match the selector.
+ * @param {number} direction - Positive for next, negative for previous.
+ * @param {string} selector - CSS selector the result must match.
+ * @returns {HTMLElement | null}
+ */
+export function getAdjacentDescendant(root, element, direction, selector) {
+  const candidates = /** @type {HTMLElement[]} */ ([
+    ...root.querySelectorAll(selector),
+  ]).filter((candidate) => candidate !== element);
+  if (candidates.length === 0) return null;
+
+  const isFollowing = (candidate) =>
+    Boolean(
+      element.compareDocumentPosition(candidate) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+    );
+
+  // Loop around to the first/last candidate when there is none in the given direction
+  if (direction > 0) {
+    return candidates.find(isFollowing) ?? candidates[0];
+  }
+
+  const preceding = candidates.filter((candidate) => !isFollowing(candidate));
+  return preceding[preceding.length - 1] ?? candidates[candidates.length - 1];
+}